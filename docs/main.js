@@ -1,3 +1,128 @@
+// choosing which broker to connect to
+
+/*
+Rules:
+  ?a - wss://iot.benjaminbenben.eu
+  ?b - wss://test.mosquitto.org:8081
+  ?192.168.0.42 - wss://192.168.0.42
+  ?192.168.0.42:8081 - wss://192.168.0.42:8081
+  ?url=ws://localhost:9001 - as given
+  ?profile=lab - a saved profile
+*/
+var shorthands = {
+  a: 'wss://iot.benjaminbenben.eu',
+  b: 'wss://test.mosquitto.org:8081'
+};
+
+var fallback = shorthands.a;
+
+// expand a shorthand / host / full url into a websocket url
+var parse = function (str) {
+  str = (str || '').trim();
+
+  if(!str) { return null }
+  if(Object.prototype.hasOwnProperty.call(shorthands, str)) { return shorthands[str] }
+  if(/^wss?:\/\//.test(str)) { return str }
+  if(/^[\w.-]+(:\d+)?(\/.*)?$/.test(str)) { return ("wss://" + str) }
+
+  return null
+};
+
+
+// a malformed escape (eg. a trailing %) shouldn't stop us starting
+var decode = function (str) {
+  try {
+    return decodeURIComponent(str)
+  } catch (e) {
+    return str
+  }
+};
+
+
+// read the broker from a location.search string
+var fromSearch = function (search) {
+  var params = {};
+  var parts = (search || '').replace(/^\?/, '').split('&');
+
+  parts
+    .filter(Boolean)
+    .forEach(function (part) {
+      var i = part.indexOf('=');
+      if(i == -1) { params[''] = params[''] || decode(part); }
+      else { params[part.slice(0, i)] = decode(part.slice(i + 1)); }
+    });
+
+  if(params.profile) {
+    var profile = find(params.profile);
+    if(profile) { return profile }
+  }
+
+  var url = parse(params.url) || parse(params['']);
+
+  return url ? {url: url} : null
+};
+
+
+// swap the broker in a location.search string, keeping other parameters
+// (like ?layout=).  Bare parts are broker shorthands, so they go too.
+var withBroker = function (search, param) {
+  var others = (search || '')
+    .replace(/^\?/, '')
+    .split('&')
+    .filter(function (part) { return part.indexOf('=') > 0 && !/^(url|profile)=/.test(part); });
+
+  return '?' + [param].concat(others).join('&')
+};
+
+
+// saved profiles - {name, url, username, password, keepalive}
+var KEY = 'ador.profiles';
+
+var load = function () {
+  try {
+    return JSON.parse(localStorage.getItem(KEY)) || []
+  } catch (e) {
+    return []
+  }
+};
+
+var store = function (profiles) {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(profiles));
+  } catch (e) {
+    // private mode, or storage full
+  }
+  return profiles
+};
+
+var find = function (name) { return load().filter(function (profile) { return profile.name == name; })[0]; };
+
+var save = function (profile) { return store(
+    load()
+      .filter(function (p) { return p.name != profile.name; })
+      .concat({
+        name: profile.name,
+        url: parse(profile.url) || profile.url,
+        username: profile.username || '',
+        password: profile.password || '',
+        keepalive: parseInt(profile.keepalive, 10) || 60
+      })
+  ); };
+
+var remove = function (name) { return store(load().filter(function (profile) { return profile.name != name; })); };
+
+
+// connection options for mqtt.connect
+var options = function (profile) {
+  var opts = {};
+
+  if(profile.username) { opts.username = profile.username; }
+  if(profile.password) { opts.password = profile.password; }
+  if(profile.keepalive) { opts.keepalive = parseInt(profile.keepalive, 10); }
+
+  return opts
+};
+
 var commonjsGlobal = typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : typeof self !== 'undefined' ? self : {};
 
 function commonjsRequire () {
@@ -19,50 +144,3397 @@ return stream.push(null)}},{"./_stream_duplex":37,"core-util-is":13,inherits:19}
 };function inspect(obj,opts){var ctx={seen:[],stylize:stylizeNoColor};if(arguments.length>=3)ctx.depth=arguments[2];if(arguments.length>=4)ctx.colors=arguments[3];if(isBoolean(opts)){ctx.showHidden=opts;}else if(opts){exports._extend(ctx,opts);}if(isUndefined(ctx.showHidden))ctx.showHidden=false;if(isUndefined(ctx.depth))ctx.depth=2;if(isUndefined(ctx.colors))ctx.colors=false;if(isUndefined(ctx.customInspect))ctx.customInspect=true;if(ctx.colors)ctx.stylize=stylizeWithColor;return formatValue(ctx,obj,ctx.depth)}exports.inspect=inspect;inspect.colors={bold:[1,22],italic:[3,23],underline:[4,24],inverse:[7,27],white:[37,39],grey:[90,39],black:[30,39],blue:[34,39],cyan:[36,39],green:[32,39],magenta:[35,39],red:[31,39],yellow:[33,39]};inspect.styles={special:"cyan",number:"yellow",boolean:"yellow",undefined:"grey",null:"bold",string:"green",date:"magenta",regexp:"red"};function stylizeWithColor(str,styleType){var style=inspect.styles[styleType];if(style){return"["+inspect.colors[style][0]+"m"+str+"["+inspect.colors[style][1]+"m"}else{return str}}function stylizeNoColor(str,styleType){return str}function arrayToHash(array){var hash={};array.forEach(function(val,idx){hash[val]=true;});return hash}function formatValue(ctx,value,recurseTimes){if(ctx.customInspect&&value&&isFunction(value.inspect)&&value.inspect!==exports.inspect&&!(value.constructor&&value.constructor.prototype===value)){var ret=value.inspect(recurseTimes,ctx);if(!isString(ret)){ret=formatValue(ctx,ret,recurseTimes);}return ret}var primitive=formatPrimitive(ctx,value);if(primitive){return primitive}var keys=Object.keys(value);var visibleKeys=arrayToHash(keys);if(ctx.showHidden){keys=Object.getOwnPropertyNames(value);}if(isError(value)&&(keys.indexOf("message")>=0||keys.indexOf("description")>=0)){return formatError(value)}if(keys.length===0){if(isFunction(value)){var name=value.name?": "+value.name:"";return ctx.stylize("[Function"+name+"]","special")}if(isRegExp(value)){return ctx.stylize(RegExp.prototype.toString.call(value),"regexp")}if(isDate(value)){return ctx.stylize(Date.prototype.toString.call(value),"date")}if(isError(value)){return formatError(value)}}var base="",array=false,braces=["{","}"];if(isArray(value)){array=true;braces=["[","]"];}if(isFunction(value)){var n=value.name?": "+value.name:"";base=" [Function"+n+"]";}if(isRegExp(value)){base=" "+RegExp.prototype.toString.call(value);}if(isDate(value)){base=" "+Date.prototype.toUTCString.call(value);}if(isError(value)){base=" "+formatError(value);}if(keys.length===0&&(!array||value.length==0)){return braces[0]+base+braces[1]}if(recurseTimes<0){if(isRegExp(value)){return ctx.stylize(RegExp.prototype.toString.call(value),"regexp")}else{return ctx.stylize("[Object]","special")}}ctx.seen.push(value);var output;if(array){output=formatArray(ctx,value,recurseTimes,visibleKeys,keys);}else{output=keys.map(function(key){return formatProperty(ctx,value,recurseTimes,visibleKeys,key,array)});}ctx.seen.pop();return reduceToSingleString(output,base,braces)}function formatPrimitive(ctx,value){if(isUndefined(value))return ctx.stylize("undefined","undefined");if(isString(value)){var simple="'"+JSON.stringify(value).replace(/^"|"$/g,"").replace(/'/g,"\\'").replace(/\\"/g,'"')+"'";return ctx.stylize(simple,"string")}if(isNumber(value))return ctx.stylize(""+value,"number");if(isBoolean(value))return ctx.stylize(""+value,"boolean");if(isNull(value))return ctx.stylize("null","null")}function formatError(value){return"["+Error.prototype.toString.call(value)+"]"}function formatArray(ctx,value,recurseTimes,visibleKeys,keys){var output=[];for(var i=0,l=value.length;i<l;++i){if(hasOwnProperty(value,String(i))){output.push(formatProperty(ctx,value,recurseTimes,visibleKeys,String(i),true));}else{output.push("");}}keys.forEach(function(key){if(!key.match(/^\d+$/)){output.push(formatProperty(ctx,value,recurseTimes,visibleKeys,key,true));}});return output}function formatProperty(ctx,value,recurseTimes,visibleKeys,key,array){var name,str,desc;desc=Object.getOwnPropertyDescriptor(value,key)||{value:value[key]};if(desc.get){if(desc.set){str=ctx.stylize("[Getter/Setter]","special");}else{str=ctx.stylize("[Getter]","special");}}else{if(desc.set){str=ctx.stylize("[Setter]","special");}}if(!hasOwnProperty(visibleKeys,key)){name="["+key+"]";}if(!str){if(ctx.seen.indexOf(desc.value)<0){if(isNull(recurseTimes)){str=formatValue(ctx,desc.value,null);}else{str=formatValue(ctx,desc.value,recurseTimes-1);}if(str.indexOf("\n")>-1){if(array){str=str.split("\n").map(function(line){return"  "+line}).join("\n").substr(2);}else{str="\n"+str.split("\n").map(function(line){return"   "+line}).join("\n");}}}else{str=ctx.stylize("[Circular]","special");}}if(isUndefined(name)){if(array&&key.match(/^\d+$/)){return str}name=JSON.stringify(""+key);if(name.match(/^"([a-zA-Z_][a-zA-Z_0-9]*)"$/)){name=name.substr(1,name.length-2);name=ctx.stylize(name,"name");}else{name=name.replace(/'/g,"\\'").replace(/\\"/g,'"').replace(/(^"|"$)/g,"'");name=ctx.stylize(name,"string");}}return name+": "+str}function reduceToSingleString(output,base,braces){var numLinesEst=0;var length=output.reduce(function(prev,cur){numLinesEst++;if(cur.indexOf("\n")>=0)numLinesEst++;return prev+cur.replace(/\u001b\[\d\d?m/g,"").length+1},0);if(length>60){return braces[0]+(base===""?"":base+"\n ")+" "+output.join(",\n  ")+" "+braces[1]}return braces[0]+base+" "+output.join(", ")+" "+braces[1]}function isArray(ar){return Array.isArray(ar)}exports.isArray=isArray;function isBoolean(arg){return typeof arg==="boolean"}exports.isBoolean=isBoolean;function isNull(arg){return arg===null}exports.isNull=isNull;function isNullOrUndefined(arg){return arg==null}exports.isNullOrUndefined=isNullOrUndefined;function isNumber(arg){return typeof arg==="number"}exports.isNumber=isNumber;function isString(arg){return typeof arg==="string"}exports.isString=isString;function isSymbol(arg){return typeof arg==="symbol"}exports.isSymbol=isSymbol;function isUndefined(arg){return arg===void 0}exports.isUndefined=isUndefined;function isRegExp(re){return isObject(re)&&objectToString(re)==="[object RegExp]"}exports.isRegExp=isRegExp;function isObject(arg){return typeof arg==="object"&&arg!==null}exports.isObject=isObject;function isDate(d){return isObject(d)&&objectToString(d)==="[object Date]"}exports.isDate=isDate;function isError(e){return isObject(e)&&(objectToString(e)==="[object Error]"||e instanceof Error)}exports.isError=isError;function isFunction(arg){return typeof arg==="function"}exports.isFunction=isFunction;function isPrimitive(arg){return arg===null||typeof arg==="boolean"||typeof arg==="number"||typeof arg==="string"||typeof arg==="symbol"||typeof arg==="undefined"}exports.isPrimitive=isPrimitive;exports.isBuffer=require("./support/isBuffer");function objectToString(o){return Object.prototype.toString.call(o)}function pad(n){return n<10?"0"+n.toString(10):n.toString(10)}var months=["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];function timestamp(){var d=new Date;var time=[pad(d.getHours()),pad(d.getMinutes()),pad(d.getSeconds())].join(":");return[d.getDate(),months[d.getMonth()],time].join(" ")}exports.log=function(){console.log("%s - %s",timestamp(),exports.format.apply(exports,arguments));};exports.inherits=require("inherits");exports._extend=function(origin,add){if(!add||!isObject(add))return origin;var keys=Object.keys(add);var i=keys.length;while(i--){origin[keys[i]]=add[keys[i]];}return origin};function hasOwnProperty(obj,prop){return Object.prototype.hasOwnProperty.call(obj,prop)}}).call(this,require("_process"),typeof commonjsGlobal!=="undefined"?commonjsGlobal:typeof self!=="undefined"?self:typeof window!=="undefined"?window:{});},{"./support/isBuffer":53,_process:31,inherits:52}],55:[function(require,module,exports){(function(process,global,Buffer){"use strict";var through=require("through2");var duplexify=require("duplexify");var WS=require("ws");module.exports=WebSocketStream;function WebSocketStream(target,protocols,options){var stream,socket;var isBrowser=process.title==="browser";var isNative=!!global.WebSocket;var socketWrite=isBrowser?socketWriteBrowser:socketWriteNode;var proxy=through.obj(socketWrite,socketEnd);if(protocols&&!Array.isArray(protocols)&&"object"===typeof protocols){options=protocols;protocols=null;if(typeof options.protocol==="string"||Array.isArray(options.protocol)){protocols=options.protocol;}}if(!options)options={};var bufferSize=options.browserBufferSize||1024*512;var bufferTimeout=options.browserBufferTimeout||1e3;if(typeof target==="object"){socket=target;}else{if(isNative&&isBrowser){socket=new WS(target,protocols);}else{socket=new WS(target,protocols,options);}socket.binaryType="arraybuffer";}if(socket.readyState===WS.OPEN){stream=proxy;}else{stream=duplexify.obj();socket.onopen=onopen;}stream.socket=socket;socket.onclose=onclose;socket.onerror=onerror;socket.onmessage=onmessage;proxy.on("close",destroy);var coerceToBuffer=options.binary||options.binary===undefined;function socketWriteNode(chunk,enc,next){if(coerceToBuffer&&typeof chunk==="string"){chunk=new Buffer(chunk,"utf8");}socket.send(chunk,next);}function socketWriteBrowser(chunk,enc,next){if(socket.bufferedAmount>bufferSize){setTimeout(socketWriteBrowser,bufferTimeout,chunk,enc,next);return}if(coerceToBuffer&&typeof chunk==="string"){chunk=new Buffer(chunk,"utf8");}try{socket.send(chunk);}catch(err){return next(err)}next();}function socketEnd(done){socket.close();done();}function onopen(){stream.setReadable(proxy);stream.setWritable(proxy);stream.emit("connect");}function onclose(){stream.end();stream.destroy();}function onerror(err){stream.destroy(err);}function onmessage(event){var data=event.data;if(data instanceof ArrayBuffer)data=new Buffer(new Uint8Array(data));else data=new Buffer(data);proxy.push(data);}function destroy(){socket.close();}return stream}}).call(this,require("_process"),typeof commonjsGlobal!=="undefined"?commonjsGlobal:typeof self!=="undefined"?self:typeof window!=="undefined"?window:{},require("buffer").Buffer);},{_process:31,buffer:11,duplexify:14,through2:48,ws:56}],56:[function(require,module,exports){var ws=null;if(typeof WebSocket!=="undefined"){ws=WebSocket;}else if(typeof MozWebSocket!=="undefined"){ws=MozWebSocket;}else{ws=window.WebSocket||window.MozWebSocket;}module.exports=ws;},{}],57:[function(require,module,exports){module.exports=wrappy;function wrappy(fn,cb){if(fn&&cb)return wrappy(fn)(cb);if(typeof fn!=="function")throw new TypeError("need wrapper function");Object.keys(fn).forEach(function(k){wrapper[k]=fn[k];});return wrapper;function wrapper(){var args=new Array(arguments.length);for(var i=0;i<args.length;i++){args[i]=arguments[i];}var ret=fn.apply(this,args);var cb=args[args.length-1];if(typeof ret==="function"&&ret!==cb){Object.keys(cb).forEach(function(k){ret[k]=cb[k];});}return ret}}},{}],58:[function(require,module,exports){module.exports=extend;var hasOwnProperty=Object.prototype.hasOwnProperty;function extend(){var target={};for(var i=0;i<arguments.length;i++){var source=arguments[i];for(var key in source){if(hasOwnProperty.call(source,key)){target[key]=source[key];}}}return target}},{}]},{},[7])(7)});
 });
 
-var qs = document.querySelector.bind(document);
+// messages published while we're offline, kept in indexedDB until we reconnect
 
-// todo: use session store
-var clientId = "c_" + (Math.random().toString(16).substr(2, 6));
+var DB = 'ador';
+var STORE = 'queue';
 
+// how many messages to keep (oldest are dropped), and for how long
+var LIMIT = 500;
+var MAX_AGE = 24 * 60 * 60 * 1000;
 
-/* todo - choose host from url.
+var listeners$1 = [];
 
-Rules:
-  ?a - wss://iot.benjaminbenben.eu
-  ?b - wss://test.mosquitto.org:8081
-  ?192.168.0.42 - wss://192.168.0.1
-  ?192.168.0.42:8081 - wss://192.168.0.1:8081
+// fn(count) whenever the number of queued messages changes
+var onChange = function (fn) {
+  listeners$1.push(fn);
+  count().then(fn);
+};
+
+var changed = function () { return count().then(function (n) { return listeners$1.forEach(function (fn) { return fn(n); }); }); };
+
+
+var db;
+var open = function () { return db = db || new Promise(function (resolve, reject) {
+  var req = indexedDB.open(DB, 1);
+  req.onupgradeneeded = function () { return req.result.createObjectStore(STORE, {autoIncrement: true}); };
+  req.onsuccess = function () { return resolve(req.result); };
+  req.onerror = function () { return reject(req.error); };
+}); };
+
+// run fn against the store, resolving with whatever it returns once complete
+var transaction = function (mode, fn) { return open().then(function (database) { return new Promise(function (resolve, reject) {
+    var tx = database.transaction(STORE, mode);
+    var result = fn(tx.objectStore(STORE));
+    tx.oncomplete = function () { return resolve(result); };
+    tx.onerror = function () { return reject(tx.error); };
+  }); }); };
+
+
+// without indexedDB (private browsing, old browsers) we queue in memory
+var memory = [];
+var next = 1;
+
+var fallback$1 = {
+  add: function (entry) {
+    memory.push(Object.assign({key: next}, entry));
+    memory = memory.slice(-LIMIT);
+    return Promise.resolve(next++)
+  },
+  count: function () { return Promise.resolve(memory.length); },
+  take: function () {
+    var all = memory;
+    memory = [];
+    return Promise.resolve(all)
+  }
+};
+
+var indexed = {
+  add: function (entry) { return transaction('readwrite', function (store) {
+    var req = store.add(entry);
+    var total = store.count();
+
+    total.onsuccess = function () {
+      var extra = total.result - LIMIT;
+      if(extra <= 0) { return }
+
+      store.openCursor().onsuccess = function (e) {
+        var cursor = e.target.result;
+        if(cursor && extra-- > 0) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    };
+
+    return req
+  }).then(function (req) { return req.result; }); },
+
+  count: function () { return transaction('readonly', function (store) { return store.count(); })
+      .then(function (req) { return req.result; }); },
+
+  take: function () { return transaction('readwrite', function (store) {
+    var all = [];
+
+    store.openCursor().onsuccess = function (e) {
+      var cursor = e.target.result;
+      if(cursor) {
+        all.push(Object.assign({key: cursor.key}, cursor.value));
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+
+    return all
+  }); }
+};
+
+// use indexedDB if it'll open, memory if not
+var backend = function () { return typeof indexedDB == 'undefined' ?
+    Promise.resolve(fallback$1) :
+    open().then(function () { return indexed; }, function () { return fallback$1; }); };
+
+
+// queue a {topic, message, opts}, resolves with its key
+var push = function (entry) { return backend()
+    .then(function (queue) { return queue.add(Object.assign({at: Date.now()}, entry)); })
+    .then(function (key) {
+      changed();
+      return key
+    }); };
+
+var count = function () { return backend().then(function (queue) { return queue.count(); }); };
+
+// remove and return everything queued (that isn't too old), oldest first
+var take = function () { return backend()
+    .then(function (queue) { return queue.take(); })
+    .then(function (all) {
+      changed();
+      return all.filter(function (entry) { return Date.now() - entry.at < MAX_AGE; })
+    }); };
+
+// mqtt topic filters
+
+// does topic match a filter with + (one level) and # (the rest) wildcards
+var matches = function (filter, topic) {
+  var f = filter.split('/');
+  var t = topic.split('/');
+
+  for(var i = 0; i < f.length; i++) {
+    if(f[i] == '#') { return true }
+    if(i >= t.length) { return false }
+    if(f[i] != '+' && f[i] != t[i]) { return false }
+  }
+
+  return f.length == t.length
+};
+
+// a filter is valid if # is only ever the last level, and wildcards fill a level
+var valid = function (filter) { return !!filter && filter.split('/').every(function (level, i, levels) { return level == '#' ? i == levels.length - 1 :
+    level == '+' || !/[+#]/.test(level); }
+  ); };
+
+// the shared mqtt client - swapped out whenever we connect to a new broker
+
+var client = null;
+var handlers = [];
+
+// call fn with the current client, and any that replace it
+var onClient = function (fn) {
+  handlers.push(fn);
+  if(client) { fn(client); }
+};
+
+var current = function () { return client; };
+
+
+/* connection state:
+  connecting - waiting for a broker to accept us
+  connected
+  reconnecting - lost the broker, mqtt is retrying
+  offline - no connection, and not retrying yet
+  error
 */
-var client  = mqtt_min.connect('wss://iot.benjaminbenben.eu', {clientId: clientId});
+var state = null;
+var listeners = [];
 
-// keep track of packets sent and received
-var up = 0;
-var dn = 0;
-var $up = qs('#up');
-var $dn = qs('#dn');
-client.on('packetsend', function () { return $up.innerText = '↑'+(++up); });
-client.on('packetreceive', function () { return $dn.innerText = '↓'+(++dn); });
+var onState = function (fn) {
+  listeners.push(fn);
+  if(state) { fn(state); }
+};
 
+var setState = function (next) {
+  if(next == state) { return }
+  state = next;
+  listeners.forEach(function (fn) { return fn(state); });
+};
 
-var sections = [].slice.call(document.querySelectorAll('li[tabindex]'), 0);
+window.addEventListener('offline', function () { return setState('offline'); }, false);
 
-sections.forEach(function(section){
-  section.addEventListener('focus', function () {
-    section.className = 'active';
-  }, false);
 
-  section.addEventListener('blur', function () {
-    section.className = '';
-  }, false);
-});
+// publish now if we can, otherwise queue it up for when we reconnect
+var flushing = false;
+var callbacks = {};
 
+var publish = function (topic, message, opts, cb) {
+  if(client && client.connected && !flushing) {
+    return client.publish(topic, message, opts, cb)
+  }
 
-var touches = 0;
-qs('#touch').addEventListener('click', function (e) {
-  e.preventDefault();
-  client.publish(("/phone/" + clientId + "/touches"), 't-'+(++touches));
-}, false);
-qs('#touch').addEventListener('touchstart', function (e) {
-  e.preventDefault();
-  client.publish(("/phone/" + clientId + "/touches"), 't-'+(++touches));
-}, false);
+  push({topic: topic, message: message, opts: opts})
+    .then(function (key) {
+      if(cb) { callbacks[key] = cb; }
+    }, function () {
+      // couldn't queue it (storage full?), mqtt will hold it until reconnect
+      if(client) { client.publish(topic, message, opts, cb); }
+    });
+};
+
+var flush = function () {
+  if(flushing || !client || !client.connected) { return }
+  flushing = true;
+
+  take()
+    .then(function (entries) {
+      entries.forEach(function (ref) {
+        var key = ref.key;
+        var topic = ref.topic;
+        var message = ref.message;
+        var opts = ref.opts;
+
+        client.publish(topic, message, opts, callbacks[key]);
+        delete callbacks[key];
+      });
+
+      flushing = false;
+
+      // anything published while we were flushing
+      return count()
+    })
+    .then(function (count$$1) {
+      if(count$$1) { flush(); }
+    }, function () {
+      flushing = false;
+    });
+};
+
+
+// subscribe on this client and any that replace it, fn(topic, message, packet)
+// for anything matching.  Returns a function to unsubscribe - the broker is
+// only told once nobody else wants that filter.
+var subscriptions = [];
+
+// the highest qos anyone has asked for on a filter
+var qosFor = function (filter) { return subscriptions
+    .filter(function (s) { return s.filter == filter; })
+    .reduce(function (qos, s) { return Math.max(qos, s.qos); }, 0); };
+
+var subscribe = function (filter, fn, opts) {
+  var subscription = {filter: filter, fn: fn, qos: (opts && opts.qos) || 0};
+  var known = subscriptions.some(function (s) { return s.filter == filter; });
+  var before = qosFor(filter);
+  subscriptions.push(subscription);
+
+  // subscribing again makes the broker replay anything retained to everyone
+  if(client && (!known || subscription.qos > before)) {
+    client.subscribe(filter, {qos: qosFor(filter)});
+  }
+
+  return function () {
+    var i = subscriptions.indexOf(subscription);
+    if(i == -1) { return }
+    subscriptions.splice(i, 1);
+
+    var used = subscriptions.some(function (s) { return s.filter == filter; });
+    if(client && !used) { client.unsubscribe(filter); }
+  }
+};
+
+
+// follow the lifecycle of whichever client is current
+var track = function (c) {
+  var update = function (next) { return function () {
+    if(c == client) { setState(next); }
+  }; };
+
+  c.on('connect', update('connected'));
+  c.on('reconnect', update('reconnecting'));
+  c.on('offline', update('offline'));
+  c.on('error', update('error'));
+
+  c.on('connect', flush);
+
+  c.on('message', function (topic, message, packet) {
+    if(c != client) { return }
+    subscriptions
+      .filter(function (ref) {
+        var filter = ref.filter;
+
+        return matches(filter, topic);
+    })
+      .forEach(function (ref) {
+        var fn = ref.fn;
+
+        // one broken handler shouldn't stop the others hearing about it
+        try {
+          fn(topic, message, packet);
+        } catch (e) {
+          console.error(e);
+        }
+      });
+  });
+};
+
+
+// a clean disconnect doesn't trigger our will, so send it ourselves first
+var goodbye = function (c, cb) {
+  var will = c.options.will;
+  if(will && c.connected) {
+    c.publish(will.topic, will.payload, {qos: will.qos, retain: will.retain});
+  }
+  c.end(false, cb);
+};
+
+// disconnect the current client, cb once it's done
+var leave = function (cb) {
+  if(client) { goodbye(client, cb); }
+  else if(cb) { cb(); }
+};
+
+
+// connect to a broker profile, resolves once the broker accepts us
+var connect = function (profile, extra) {
+
+  var next = mqtt_min.connect(profile.url, Object.assign(options(profile), extra));
+
+  setState('connecting');
+
+  return new Promise(function (resolve, reject) {
+    var handled;
+
+    var failed = function () {
+      handled = true;
+      next.end();
+      setState(client && client.connected ? 'connected' : 'error');
+      reject();
+    };
+
+    next.on('connect', function () {
+      if(!handled) {
+        handled = true;
+
+        if(client && client != next) { goodbye(client); }
+        client = next;
+        track(client);
+        subscriptions
+          .map(function (ref) {
+            var filter = ref.filter;
+
+            return filter;
+        })
+          .filter(function (filter, i, filters) { return filters.indexOf(filter) == i; })
+          .forEach(function (filter) { return client.subscribe(filter, {qos: qosFor(filter)}); });
+        setState('connected');
+        handlers.forEach(function (fn) { return fn(client); });
+        flush();
+
+        resolve(client);
+      }
+    });
+    next.on('error', function () {
+      if(!handled) { failed(); }
+    });
+
+    setTimeout(function () {
+      if(!handled) { failed(); }
+    }, 10000);
+  })
+};
+
+function appendNode ( node, target ) {
+	target.appendChild( node );
+}
+
+function insertNode ( node, target, anchor ) {
+	target.insertBefore( node, anchor );
+}
+
+function detachNode ( node ) {
+	node.parentNode.removeChild( node );
+}
+
+function teardownEach ( iterations, detach, start ) {
+	for ( var i = ( start || 0 ); i < iterations.length; i += 1 ) {
+		iterations[i].teardown( detach );
+	}
+}
+
+function createElement ( name ) {
+	return document.createElement( name );
+}
+
+function createText ( data ) {
+	return document.createTextNode( data );
+}
+
+function createComment () {
+	return document.createComment( '' );
+}
+
+function addEventListener ( node, event, handler ) {
+	node.addEventListener ( event, handler, false );
+}
+
+function removeEventListener ( node, event, handler ) {
+	node.removeEventListener ( event, handler, false );
+}
+
+function setAttribute ( node, attribute, value ) {
+	node.setAttribute ( attribute, value );
+}
+
+function get ( key ) {
+	return key ? this._state[ key ] : this._state;
+}
+
+function fire ( eventName, data ) {
+	var handlers = eventName in this._handlers && this._handlers[ eventName ].slice();
+	if ( !handlers ) return;
+
+	for ( var i = 0; i < handlers.length; i += 1 ) {
+		handlers[i].call( this, data );
+	}
+}
+
+function observe ( key, callback, options ) {
+	var group = ( options && options.defer ) ? this._observers.pre : this._observers.post;
+
+	( group[ key ] || ( group[ key ] = [] ) ).push( callback );
+
+	if ( !options || options.init !== false ) {
+		callback.__calling = true;
+		callback.call( this, this._state[ key ] );
+		callback.__calling = false;
+	}
+
+	return {
+		cancel: function () {
+			var index = group[ key ].indexOf( callback );
+			if ( ~index ) group[ key ].splice( index, 1 );
+		}
+	};
+}
+
+function on ( eventName, handler ) {
+	var handlers = this._handlers[ eventName ] || ( this._handlers[ eventName ] = [] );
+	handlers.push( handler );
+
+	return {
+		cancel: function () {
+			var index = handlers.indexOf( handler );
+			if ( ~index ) handlers.splice( index, 1 );
+		}
+	};
+}
+
+function set ( newState ) {
+	this._set( newState );
+	( this._root || this )._flush();
+}
+
+function _flush () {
+	if ( !this._renderHooks ) return;
+
+	while ( this._renderHooks.length ) {
+		var hook = this._renderHooks.pop();
+		hook.fn.call( hook.context );
+	}
+}
+
+function dispatchObservers ( component, group, newState, oldState ) {
+	for ( var key in group ) {
+		if ( !( key in newState ) ) continue;
+
+		var newValue = newState[ key ];
+		var oldValue = oldState[ key ];
+
+		if ( newValue === oldValue && typeof newValue !== 'object' ) continue;
+
+		var callbacks = group[ key ];
+		if ( !callbacks ) continue;
+
+		for ( var i = 0; i < callbacks.length; i += 1 ) {
+			var callback = callbacks[i];
+			if ( callback.__calling ) continue;
+
+			callback.__calling = true;
+			callback.call( component, newValue, oldValue );
+			callback.__calling = false;
+		}
+	}
+}
+
+function applyComputations ( state, newState, oldState, isInitial ) {
+	if ( isInitial || ( 'state' in newState && typeof state.state === 'object' || state.state !== oldState.state ) ) {
+		state.disabled = newState.disabled = template.computed.disabled( state.state );
+	}
+	
+	if ( isInitial || ( 'state' in newState && typeof state.state === 'object' || state.state !== oldState.state ) ) {
+		state.submit_text = newState.submit_text = template.computed.submit_text( state.state );
+	}
+}
+
+var template = (function () {
+
+var initial = fromSearch(location.search) || {url: fallback};
+
+return {
+  data: function data () {
+    return {
+      url: initial.url,
+      name: initial.name || '',
+      username: initial.username || '',
+      password: initial.password || '',
+      keepalive: initial.keepalive || 60,
+      profiles: load(),
+      options: {},
+      state: 'ready',
+      editing: false
+    }
+  },
+
+  computed: {
+    disabled: function (state) { return state == 'connecting'; },
+    submit_text: function (state) { return state == 'connecting' ? 'Connecting' : 'Connect'; }
+  },
+
+  oncreate: function oncreate () {
+    var this$1 = this;
+
+    onState(function (state) { return this$1.set({state: state}); });
+
+    if(this.get('autoconnect')) { this.connect(); }
+  },
+
+  methods: {
+    connect: function connect$1(e) {
+      var this$1 = this;
+
+      if(e) { e.preventDefault(); }
+
+      if(this.get('state') == 'connecting') { return }
+
+      var url = parse(this.get('url'));
+      if(!url) { return this.set({state: 'error'}) }
+
+      this.set({editing: false, url: url});
+
+      var profile = this.profile();
+
+      // the state follows the client (see onState above), which stays
+      // connected to the old broker if the new one fails
+      connect(profile, this.get('options'))
+        .then(function (client) {
+          this$1.fire('connected', client);
+        }, function () {});
+
+      // update the url for reloads
+      var saved = find(profile.name);
+      history.replaceState(
+        {}, document.title,
+        withBroker(location.search,
+          saved && saved.url == profile.url ?
+            ("profile=" + (encodeURIComponent(profile.name))) :
+            ("url=" + (encodeURIComponent(profile.url)))
+        )
+      );
+    },
+    keyup: function keyup(e) {
+      if(this.get('state') == 'error') {
+        this.set({state: 'ready'});
+      }
+    },
+
+    profile: function profile() {
+      return {
+        name: this.get('name'),
+        url: parse(this.get('url')) || this.get('url'),
+        username: this.get('username'),
+        password: this.get('password'),
+        keepalive: this.get('keepalive')
+      }
+    },
+    choose: function choose() {
+      var profile = find(this.get('name'));
+      if(!profile) { return }
+
+      this.set({
+        url: profile.url,
+        username: profile.username,
+        password: profile.password,
+        keepalive: profile.keepalive
+      });
+    },
+    save: function save$$1() {
+      if(!this.get('name')) { return }
+      this.set({profiles: save(this.profile())});
+    },
+    remove: function remove$$1() {
+      this.set({
+        profiles: remove(this.get('name')),
+        name: ''
+      });
+    }
+  }
+}
+
+}());
+
+var addedCss = false;
+function addCss () {
+	var style = createElement( 'style' );
+	style.textContent = "\n\n  [svelte-1090138733]#url, [svelte-1090138733] #url {\n    transition: .2s\n  }\n\n  [svelte-1090138733]#submit, [svelte-1090138733] #submit {\n    color: inherit;\n    border: none;\n    background: none;\n    padding:0;\n    text-decoration: underline;\n    cursor: pointer;\n    transition: .2s\n  }\n  [svelte-1090138733]#submit:hover, [svelte-1090138733] #submit:hover {\n    color: #08f\n  }\n\n  [svelte-1090138733]#root.error #url, [svelte-1090138733] #root.error #url{\n    color: #f00\n  }\n  [svelte-1090138733]#root.error #submit, [svelte-1090138733] #root.error #submit{\n    color: #f00\n  }\n\n  [svelte-1090138733]#state, [svelte-1090138733] #state {\n    height: 10px;\n    background: #ccc;\n    margin-bottom: 1em;\n    transition: 1s;\n    border-radius: 0 0 2px 2px;\n  }\n\n  [svelte-1090138733]#state, [svelte-1090138733] #state {\n    background: #ccc;\n  }\n\n  [svelte-1090138733]#root.connecting #state, [svelte-1090138733] #root.connecting #state {\n    background: #000\n  }\n\n  [svelte-1090138733]#root.connected #state, [svelte-1090138733] #root.connected #state{\n    background: aquamarine\n  }\n\n  [svelte-1090138733]#root.reconnecting #state, [svelte-1090138733] #root.reconnecting #state {\n    background: #fa0\n  }\n\n  [svelte-1090138733]#root.offline #state, [svelte-1090138733] #root.offline #state {\n    background: #aaa\n  }\n\n  [svelte-1090138733]#root.error #state, [svelte-1090138733] #root.error #state {\n    background: #f00\n  }\n\n  [svelte-1090138733]#root.connected #connection, [svelte-1090138733] #root.connected #connection,\n  [svelte-1090138733]#root.reconnecting #connection, [svelte-1090138733] #root.reconnecting #connection {\n    display:none\n  }\n\n  [svelte-1090138733]#root.connected.editing #connection, [svelte-1090138733] #root.connected.editing #connection,\n  [svelte-1090138733]#root.reconnecting.editing #connection, [svelte-1090138733] #root.reconnecting.editing #connection {\n    display:block\n  }\n\n  [svelte-1090138733]#details summary, [svelte-1090138733] #details summary {\n    font-size: .5em;\n    cursor: pointer;\n  }\n\n  [svelte-1090138733]#details button, [svelte-1090138733] #details button {\n    font: inherit;\n    font-size: .5em;\n    color: inherit;\n    border: none;\n    background: none;\n    padding:0;\n    margin-right: 1em;\n    text-decoration: underline;\n    cursor: pointer;\n  }\n\n";
+	appendNode( style, document.head );
+
+	addedCss = true;
+}
+
+function renderMainFragment ( root, component ) {
+	var div = createElement( 'div' );
+	setAttribute( div, 'svelte-1090138733', '' );
+	div.id = "root";
+	div.className = "" + ( root.state ) + " " + ( root.editing ? "editing" : "" );
+	
+	var div1 = createElement( 'div' );
+	setAttribute( div1, 'svelte-1090138733', '' );
+	div1.id = "state";
+	
+	function clickHandler ( event ) {
+		var root = this.__svelte.root;
+		
+		component.set({editing: !root.editing});
+	}
+	
+	addEventListener( div1, 'click', clickHandler );
+	
+	div1.__svelte = {
+		root: root
+	};
+	
+	appendNode( div1, div );
+	appendNode( createText( "\n\n  " ), div );
+	
+	var form = createElement( 'form' );
+	setAttribute( form, 'svelte-1090138733', '' );
+	form.id = "connection";
+	
+	function submitHandler ( event ) {
+		component.connect(event);
+	}
+	
+	addEventListener( form, 'submit', submitHandler );
+	
+	var last_form_class = root.state;
+	form.className = last_form_class;
+	
+	appendNode( form, div );
+	var ifBlock_anchor = createComment();
+	appendNode( ifBlock_anchor, form );
+	
+	function getBlock ( root ) {
+		if ( root.profiles.length ) { return renderIfBlock_0; }
+		return null;
+	}
+	
+	var currentBlock = getBlock( root );
+	var ifBlock = currentBlock && currentBlock( root, component );
+	
+	if ( ifBlock ) { ifBlock.mount( ifBlock_anchor.parentNode, ifBlock_anchor ); }
+	appendNode( createText( "\n\n    " ), form );
+	
+	var input = createElement( 'input' );
+	setAttribute( input, 'svelte-1090138733', '' );
+	input.id = "url";
+	input.type = "text";
+	input.placeholder = "url";
+	
+	var input_updating = false;
+	
+	function inputChangeHandler () {
+		input_updating = true;
+		component._set({ url: input.value });
+		input_updating = false;
+	}
+	
+	addEventListener( input, 'input', inputChangeHandler );
+	
+	function keyupHandler ( event ) {
+		component.keyup();
+	}
+	
+	addEventListener( input, 'keyup', keyupHandler );
+	
+	appendNode( input, form );
+	
+	input.value = root.url;
+	
+	appendNode( createText( "\n\n    " ), form );
+	
+	var details = createElement( 'details' );
+	setAttribute( details, 'svelte-1090138733', '' );
+	details.id = "details";
+	
+	appendNode( details, form );
+	
+	var summary = createElement( 'summary' );
+	setAttribute( summary, 'svelte-1090138733', '' );
+	
+	appendNode( summary, details );
+	appendNode( createText( "profile" ), summary );
+	appendNode( createText( "\n      " ), details );
+	
+	var input1 = createElement( 'input' );
+	setAttribute( input1, 'svelte-1090138733', '' );
+	input1.type = "text";
+	input1.placeholder = "name";
+	
+	var input1_updating = false;
+	
+	function input1ChangeHandler () {
+		input1_updating = true;
+		component._set({ name: input1.value });
+		input1_updating = false;
+	}
+	
+	addEventListener( input1, 'input', input1ChangeHandler );
+	
+	appendNode( input1, details );
+	
+	input1.value = root.name;
+	
+	appendNode( createText( "\n      " ), details );
+	
+	var input2 = createElement( 'input' );
+	setAttribute( input2, 'svelte-1090138733', '' );
+	input2.type = "text";
+	input2.placeholder = "username";
+	
+	var input2_updating = false;
+	
+	function input2ChangeHandler () {
+		input2_updating = true;
+		component._set({ username: input2.value });
+		input2_updating = false;
+	}
+	
+	addEventListener( input2, 'input', input2ChangeHandler );
+	
+	input2.autocomplete = "off";
+	
+	appendNode( input2, details );
+	
+	input2.value = root.username;
+	
+	appendNode( createText( "\n      " ), details );
+	
+	var input3 = createElement( 'input' );
+	setAttribute( input3, 'svelte-1090138733', '' );
+	input3.type = "password";
+	input3.placeholder = "password";
+	
+	var input3_updating = false;
+	
+	function input3ChangeHandler () {
+		input3_updating = true;
+		component._set({ password: input3.value });
+		input3_updating = false;
+	}
+	
+	addEventListener( input3, 'input', input3ChangeHandler );
+	
+	input3.autocomplete = "off";
+	
+	appendNode( input3, details );
+	
+	input3.value = root.password;
+	
+	appendNode( createText( "\n      " ), details );
+	
+	var input4 = createElement( 'input' );
+	setAttribute( input4, 'svelte-1090138733', '' );
+	input4.type = "number";
+	input4.placeholder = "keepalive";
+	
+	var input4_updating = false;
+	
+	function input4ChangeHandler () {
+		input4_updating = true;
+		component._set({ keepalive: input4.value });
+		input4_updating = false;
+	}
+	
+	addEventListener( input4, 'input', input4ChangeHandler );
+	
+	input4.min = "0";
+	
+	appendNode( input4, details );
+	
+	input4.value = root.keepalive;
+	
+	appendNode( createText( "\n      " ), details );
+	
+	var button = createElement( 'button' );
+	setAttribute( button, 'svelte-1090138733', '' );
+	button.type = "button";
+	
+	function clickHandler1 ( event ) {
+		component.save();
+	}
+	
+	addEventListener( button, 'click', clickHandler1 );
+	
+	var last_button_disabled = !root.name;
+	button.disabled = last_button_disabled;
+	
+	appendNode( button, details );
+	appendNode( createText( "save" ), button );
+	appendNode( createText( "\n      " ), details );
+	
+	var button1 = createElement( 'button' );
+	setAttribute( button1, 'svelte-1090138733', '' );
+	button1.type = "button";
+	
+	function clickHandler2 ( event ) {
+		component.remove();
+	}
+	
+	addEventListener( button1, 'click', clickHandler2 );
+	
+	var last_button1_disabled = !root.name;
+	button1.disabled = last_button1_disabled;
+	
+	appendNode( button1, details );
+	appendNode( createText( "delete" ), button1 );
+	appendNode( createText( "\n\n    " ), form );
+	
+	var input5 = createElement( 'input' );
+	setAttribute( input5, 'svelte-1090138733', '' );
+	input5.id = "submit";
+	input5.type = "submit";
+	
+	var input5_updating = false;
+	
+	function input5ChangeHandler () {
+		input5_updating = true;
+		component._set({ submit_text: input5.value });
+		input5_updating = false;
+	}
+	
+	addEventListener( input5, 'input', input5ChangeHandler );
+	
+	appendNode( input5, form );
+	
+	input5.value = root.submit_text;
+
+	return {
+		mount: function ( target, anchor ) {
+			insertNode( div, target, anchor );
+		},
+		
+		update: function ( changed, root ) {
+			var __tmp;
+		
+			div.className = "" + ( root.state ) + " " + ( root.editing ? "editing" : "" );
+			
+			div1.__svelte.root = root;
+			
+			if ( ( __tmp = root.state ) !== last_form_class ) {
+				last_form_class = __tmp;
+				form.className = last_form_class;
+			}
+			
+			var _currentBlock = currentBlock;
+			currentBlock = getBlock( root );
+			if ( _currentBlock === currentBlock && ifBlock) {
+				ifBlock.update( changed, root );
+			} else {
+				if ( ifBlock ) { ifBlock.teardown( true ); }
+				ifBlock = currentBlock && currentBlock( root, component );
+				if ( ifBlock ) { ifBlock.mount( ifBlock_anchor.parentNode, ifBlock_anchor ); }
+			}
+			
+			if ( !input_updating ) {
+							input.value = root.url;
+						}
+			
+			if ( !input1_updating ) {
+							input1.value = root.name;
+						}
+			
+			if ( !input2_updating ) {
+							input2.value = root.username;
+						}
+			
+			if ( !input3_updating ) {
+							input3.value = root.password;
+						}
+			
+			if ( !input4_updating ) {
+							input4.value = root.keepalive;
+						}
+			
+			if ( ( __tmp = !root.name ) !== last_button_disabled ) {
+				last_button_disabled = __tmp;
+				button.disabled = last_button_disabled;
+			}
+			
+			if ( ( __tmp = !root.name ) !== last_button1_disabled ) {
+				last_button1_disabled = __tmp;
+				button1.disabled = last_button1_disabled;
+			}
+			
+			if ( !input5_updating ) {
+							input5.value = root.submit_text;
+						}
+		},
+		
+		teardown: function ( detach ) {
+			removeEventListener( div1, 'click', clickHandler );
+			removeEventListener( form, 'submit', submitHandler );
+			if ( ifBlock ) { ifBlock.teardown( false ); }
+			removeEventListener( input, 'input', inputChangeHandler );
+			removeEventListener( input, 'keyup', keyupHandler );
+			removeEventListener( input1, 'input', input1ChangeHandler );
+			removeEventListener( input2, 'input', input2ChangeHandler );
+			removeEventListener( input3, 'input', input3ChangeHandler );
+			removeEventListener( input4, 'input', input4ChangeHandler );
+			removeEventListener( button, 'click', clickHandler1 );
+			removeEventListener( button1, 'click', clickHandler2 );
+			removeEventListener( input5, 'input', input5ChangeHandler );
+			
+			if ( detach ) {
+				detachNode( div );
+			}
+		}
+	};
+}
+
+function renderIfBlock_0 ( root, component ) {
+	var select = createElement( 'select' );
+	setAttribute( select, 'svelte-1090138733', '' );
+	select.id = "profile";
+	
+	var select_updating = false;
+	
+	function selectChangeHandler () {
+		select_updating = true;
+		var selectedOption = select.selectedOptions[0] || select.options[0];
+		component._set({ name: selectedOption && selectedOption.__value });
+		select_updating = false;
+	}
+	
+	addEventListener( select, 'change', selectChangeHandler );
+	
+	function changeHandler ( event ) {
+		component.choose();
+	}
+	
+	addEventListener( select, 'change', changeHandler );
+	
+	var option1 = createElement( 'option' );
+	setAttribute( option1, 'svelte-1090138733', '' );
+	option1.__value = '';
+	option1.value = option1.__value;
+	
+	appendNode( option1, select );
+	appendNode( createText( "—" ), option1 );
+	appendNode( createText( "\n        " ), select );
+	var eachBlock_anchor = createComment();
+	appendNode( eachBlock_anchor, select );
+	var eachBlock_value = root.profiles;
+	var eachBlock_iterations = [];
+	
+	for ( var i1 = 0; i1 < eachBlock_value.length; i1 += 1 ) {
+		eachBlock_iterations[i1] = renderEachBlock( root, eachBlock_value, eachBlock_value[i1], i1, component );
+		eachBlock_iterations[i1].mount( eachBlock_anchor.parentNode, eachBlock_anchor );
+	}
+	
+	var value = root.name;
+	console.log( 'value', value );
+	for ( var i = 0; i < select.options.length; i += 1 ) {
+		var option = select.options[i];
+	
+		if ( option.__value === value ) {
+			option.selected = true;
+			break;
+		}
+	}
+
+	return {
+		mount: function ( target, anchor ) {
+			insertNode( select, target, anchor );
+		},
+		
+		update: function ( changed, root ) {
+			var __tmp;
+		
+			if ( !select_updating ) {
+							var value = root.name;
+			console.log( 'value', value );
+			for ( var i = 0; i < select.options.length; i += 1 ) {
+				var option = select.options[i];
+			
+				if ( option.__value === value ) {
+					option.selected = true;
+					break;
+				}
+			}
+						}
+			
+			var eachBlock_value = root.profiles;
+			
+			for ( var i1 = 0; i1 < eachBlock_value.length; i1 += 1 ) {
+				if ( !eachBlock_iterations[i1] ) {
+					eachBlock_iterations[i1] = renderEachBlock( root, eachBlock_value, eachBlock_value[i1], i1, component );
+					eachBlock_iterations[i1].mount( eachBlock_anchor.parentNode, eachBlock_anchor );
+				} else {
+					eachBlock_iterations[i1].update( changed, root, eachBlock_value, eachBlock_value[i1], i1 );
+				}
+			}
+			
+			teardownEach( eachBlock_iterations, true, eachBlock_value.length );
+			
+			eachBlock_iterations.length = eachBlock_value.length;
+		},
+		
+		teardown: function ( detach ) {
+			removeEventListener( select, 'change', selectChangeHandler );
+			removeEventListener( select, 'change', changeHandler );
+			
+			teardownEach( eachBlock_iterations, false );
+			
+			if ( detach ) {
+				detachNode( select );
+			}
+		}
+	};
+}
+
+function renderEachBlock ( root, eachBlock_value, profile, profile__index, component ) {
+	var option = createElement( 'option' );
+	setAttribute( option, 'svelte-1090138733', '' );
+	var last_option_value = profile.name;
+	option.__value = last_option_value;
+	option.value = option.__value;
+	
+	var last_text = profile.name;
+	var text = createText( last_text );
+	appendNode( text, option );
+
+	return {
+		mount: function ( target, anchor ) {
+			insertNode( option, target, anchor );
+		},
+		
+		update: function ( changed, root, eachBlock_value, profile, profile__index ) {
+			var __tmp;
+		
+			if ( ( __tmp = profile.name ) !== last_option_value ) {
+				last_option_value = __tmp;
+				option.__value = last_option_value;
+			}
+			
+			option.value = option.__value;
+			
+			if ( ( __tmp = profile.name ) !== last_text ) {
+				text.data = last_text = __tmp;
+			}
+		},
+		
+		teardown: function ( detach ) {
+			if ( detach ) {
+				detachNode( option );
+			}
+		}
+	};
+}
+
+function Connection ( options$$1 ) {
+	options$$1 = options$$1 || {};
+	this._state = Object.assign( template.data(), options$$1.data );
+	applyComputations( this._state, this._state, {}, true );
+	
+	this._observers = {
+		pre: Object.create( null ),
+		post: Object.create( null )
+	};
+	
+	this._handlers = Object.create( null );
+	
+	this._root = options$$1._root;
+	this._yield = options$$1._yield;
+	
+	this._torndown = false;
+	if ( !addedCss ) { addCss(); }
+	
+	this._fragment = renderMainFragment( this._state, this );
+	if ( options$$1.target ) { this._fragment.mount( options$$1.target, null ); }
+	
+	if ( options$$1._root ) {
+		options$$1._root._renderHooks.push({ fn: template.oncreate, context: this });
+	} else {
+		template.oncreate.call( this );
+	}
+}
+
+Connection.prototype = template.methods;
+
+Connection.prototype.get = get;
+Connection.prototype.fire = fire;
+Connection.prototype.observe = observe;
+Connection.prototype.on = on;
+Connection.prototype.set = set;
+Connection.prototype._flush = _flush;
+
+Connection.prototype._set = function _set ( newState ) {
+	var oldState = this._state;
+	this._state = Object.assign( {}, oldState, newState );
+	applyComputations( this._state, newState, oldState, false );
+	
+	dispatchObservers( this, this._observers.pre, newState, oldState );
+	if ( this._fragment ) { this._fragment.update( newState, this._state ); }
+	dispatchObservers( this, this._observers.post, newState, oldState );
+};
+
+Connection.prototype.teardown = Connection.prototype.destroy = function destroy ( detach ) {
+	this.fire( 'teardown' );
+
+	this._fragment.teardown( detach !== false );
+	this._fragment = null;
+
+	this._state = {};
+	this._torndown = true;
+};
+
+function applyComputations$1 ( state, newState, oldState, isInitial ) {
+	if ( isInitial || ( 'topics' in newState && typeof state.topics === 'object' || state.topics !== oldState.topics ) ) {
+		state.rows = newState.rows = template$1.computed.rows( state.topics );
+	}
+}
+
+var template$1 = (function () {
+
+// how many messages to keep in the log
+var LOG = 200;
+
+// show text as it is, and binary as a byte count
+var preview = function (message) {
+  var text = message.toString();
+  return /[\x00-\x08\x0e-\x1f\ufffd]/.test(text) ?
+    ("<" + (message.length) + " bytes>") :
+    text.length > 200 ? text.substr(0, 200) + '…' : text
+};
+
+var time = function () { return new Date().toTimeString().substr(0, 8); };
+
+return {
+  data: function data () {
+    return {
+      filter: '',
+      subscribe_qos: '0',
+      subscriptions: [],
+      topics: {},
+      log: [],
+
+      topic: '',
+      message: '',
+      publish_qos: '0',
+      retain: false
+    }
+  },
+
+  computed: {
+    // the topics we've seen, flattened into an indented tree
+    rows: function (topics) {
+      var rows = [];
+      var seen = {};
+
+      Object.keys(topics).sort().forEach(function (topic) {
+        topic.split('/').forEach(function (name, depth, levels) {
+          var path = levels.slice(0, depth + 1).join('/');
+          if(seen[path]) { return }
+          seen[path] = true;
+
+          rows.push({
+            name: name, depth: depth,
+            value: path == topic ? topics[topic] : undefined
+          });
+        });
+      });
+
+      return rows
+    }
+  },
+
+  oncreate: function oncreate () {
+    // unsubscribe functions, by filter.  These go through the shared client's
+    // subscribe, so removing a filter here won't drop one the app relies on
+    this.stops = {};
+  },
+
+  ondestroy: function ondestroy () {
+    var this$1 = this;
+
+    Object.keys(this.stops).forEach(function (filter) { return this$1.stops[filter](); });
+  },
+
+  methods: {
+    subscribe: function subscribe$$1(e) {
+      var this$1 = this;
+
+      e.preventDefault();
+
+      var filter = this.get('filter').trim();
+      var qos = parseInt(this.get('subscribe_qos'), 10);
+      if(!valid(filter)) { return }
+
+      if(this.stops[filter]) { this.stops[filter](); }
+      var received = function (topic, message, packet) { return this$1.received(topic, message, packet); };
+      this.stops[filter] = subscribe(filter, received, {qos: qos});
+
+      var subscriptions = this.get('subscriptions')
+        .filter(function (subscription) { return subscription.filter != filter; })
+        .concat({filter: filter, qos: qos});
+
+      this.set({subscriptions: subscriptions, filter: ''});
+    },
+
+    unsubscribe: function unsubscribe(filter) {
+      if(this.stops[filter]) { this.stops[filter](); }
+      delete this.stops[filter];
+
+      this.set({
+        subscriptions: this.get('subscriptions')
+          .filter(function (subscription) { return subscription.filter != filter; })
+      });
+    },
+
+    received: function received(topic, message, packet) {
+      // overlapping filters hand us the same message more than once
+      if(packet == this.last) { return }
+      this.last = packet;
+
+      var value = preview(message);
+      var topics = Object.assign({}, this.get('topics'));
+      topics[topic] = value;
+
+      var log = [{
+        time: time(),
+        topic: topic, value: value,
+        qos: packet.qos,
+        retain: packet.retain
+      }].concat(this.get('log')).slice(0, LOG);
+
+      this.set({topics: topics, log: log});
+    },
+
+    send: function send(e) {
+      e.preventDefault();
+
+      var topic = this.get('topic').trim();
+      if(!topic || /[+#]/.test(topic)) { return }
+
+      publish(topic, this.get('message'), {
+        qos: parseInt(this.get('publish_qos'), 10),
+        retain: this.get('retain')
+      });
+    }
+  }
+}
+
+}());
+
+var addedCss$1 = false;
+function addCss$1 () {
+	var style = createElement( 'style' );
+	style.textContent = "\n\n  [svelte-4076911439]#explorer, [svelte-4076911439] #explorer {\n    font-size: .5em;\n    margin-bottom: 2em;\n  }\n\n  [svelte-4076911439]#explorer summary, [svelte-4076911439] #explorer summary {\n    cursor: pointer;\n  }\n\n  [svelte-4076911439]#explorer h2, [svelte-4076911439] #explorer h2 {\n    font-size: 1em;\n    margin: 1em 0 .5em;\n  }\n\n  [svelte-4076911439]#explorer input, [svelte-4076911439] #explorer input, [svelte-4076911439]#explorer select, [svelte-4076911439] #explorer select, [svelte-4076911439]#explorer label, [svelte-4076911439] #explorer label {\n    display: inline-block;\n    font: inherit;\n    margin: .25em 0;\n  }\n\n  [svelte-4076911439]#explorer ul, [svelte-4076911439] #explorer ul, [svelte-4076911439]#explorer ol, [svelte-4076911439] #explorer ol {\n    padding: 0;\n    margin: 0;\n    font-family: AvenirNext-ultralight, Arial;\n    font-weight: 100;\n  }\n\n  [svelte-4076911439]#explorer li, [svelte-4076911439] #explorer li {\n    margin: 0;\n    white-space: nowrap;\n    overflow: hidden;\n    text-overflow: ellipsis;\n  }\n\n  [svelte-4076911439]#explorer .log, [svelte-4076911439] #explorer .log {\n    max-height: 20em;\n    overflow-y: auto;\n    background: #fff;\n    padding: .5em;\n  }\n\n  [svelte-4076911439]#explorer .value, [svelte-4076911439] #explorer .value {\n    color: #f08;\n  }\n\n  [svelte-4076911439]#explorer time, [svelte-4076911439] #explorer time, [svelte-4076911439]#explorer small, [svelte-4076911439] #explorer small {\n    color: #aaa;\n  }\n\n  [svelte-4076911439]#explorer button, [svelte-4076911439] #explorer button {\n    font: inherit;\n    color: inherit;\n    border: none;\n    background: none;\n    padding: 0;\n    text-decoration: underline;\n    cursor: pointer;\n  }\n\n";
+	appendNode( style, document.head );
+
+	addedCss$1 = true;
+}
+
+function renderMainFragment$1 ( root, component ) {
+	var details = createElement( 'details' );
+	setAttribute( details, 'svelte-4076911439', '' );
+	details.id = "explorer";
+	
+	var summary = createElement( 'summary' );
+	setAttribute( summary, 'svelte-4076911439', '' );
+	
+	appendNode( summary, details );
+	appendNode( createText( "explorer" ), summary );
+	appendNode( createText( "\n\n  " ), details );
+	
+	var form = createElement( 'form' );
+	setAttribute( form, 'svelte-4076911439', '' );
+	
+	function submitHandler ( event ) {
+		component.subscribe(event);
+	}
+	
+	addEventListener( form, 'submit', submitHandler );
+	
+	appendNode( form, details );
+	
+	var input = createElement( 'input' );
+	setAttribute( input, 'svelte-4076911439', '' );
+	input.type = "text";
+	input.placeholder = "topic filter, eg. /phone/+/status";
+	
+	var input_updating = false;
+	
+	function inputChangeHandler () {
+		input_updating = true;
+		component._set({ filter: input.value });
+		input_updating = false;
+	}
+	
+	addEventListener( input, 'input', inputChangeHandler );
+	
+	appendNode( input, form );
+	
+	input.value = root.filter;
+	
+	appendNode( createText( "\n    " ), form );
+	
+	var select = createElement( 'select' );
+	setAttribute( select, 'svelte-4076911439', '' );
+	
+	var select_updating = false;
+	
+	function selectChangeHandler () {
+		select_updating = true;
+		var selectedOption = select.selectedOptions[0] || select.options[0];
+		component._set({ subscribe_qos: selectedOption && selectedOption.__value });
+		select_updating = false;
+	}
+	
+	addEventListener( select, 'change', selectChangeHandler );
+	
+	appendNode( select, form );
+	
+	var option1 = createElement( 'option' );
+	setAttribute( option1, 'svelte-4076911439', '' );
+	option1.__value = "0";
+	option1.value = option1.__value;
+	
+	appendNode( option1, select );
+	appendNode( createText( "qos 0" ), option1 );
+	appendNode( createText( "\n      " ), select );
+	
+	var option2 = createElement( 'option' );
+	setAttribute( option2, 'svelte-4076911439', '' );
+	option2.__value = "1";
+	option2.value = option2.__value;
+	
+	appendNode( option2, select );
+	appendNode( createText( "qos 1" ), option2 );
+	appendNode( createText( "\n      " ), select );
+	
+	var option3 = createElement( 'option' );
+	setAttribute( option3, 'svelte-4076911439', '' );
+	option3.__value = "2";
+	option3.value = option3.__value;
+	
+	appendNode( option3, select );
+	appendNode( createText( "qos 2" ), option3 );
+	
+	var value = root.subscribe_qos;
+	console.log( 'value', value );
+	for ( var i = 0; i < select.options.length; i += 1 ) {
+		var option = select.options[i];
+	
+		if ( option.__value === value ) {
+			option.selected = true;
+			break;
+		}
+	}
+	
+	appendNode( createText( "\n    " ), form );
+	
+	var input1 = createElement( 'input' );
+	setAttribute( input1, 'svelte-4076911439', '' );
+	input1.type = "submit";
+	input1.value = "subscribe";
+	
+	appendNode( input1, form );
+	appendNode( createText( "\n\n  " ), details );
+	
+	var ul = createElement( 'ul' );
+	setAttribute( ul, 'svelte-4076911439', '' );
+	ul.className = "subscriptions";
+	
+	appendNode( ul, details );
+	var eachBlock_anchor = createComment();
+	appendNode( eachBlock_anchor, ul );
+	var eachBlock_value = root.subscriptions;
+	var eachBlock_iterations = [];
+	
+	for ( var i1 = 0; i1 < eachBlock_value.length; i1 += 1 ) {
+		eachBlock_iterations[i1] = renderEachBlock$1( root, eachBlock_value, eachBlock_value[i1], i1, component );
+		eachBlock_iterations[i1].mount( eachBlock_anchor.parentNode, eachBlock_anchor );
+	}
+	
+	appendNode( createText( "\n\n  " ), details );
+	
+	var h2 = createElement( 'h2' );
+	setAttribute( h2, 'svelte-4076911439', '' );
+	
+	appendNode( h2, details );
+	appendNode( createText( "topics" ), h2 );
+	appendNode( createText( "\n  " ), details );
+	
+	var ul1 = createElement( 'ul' );
+	setAttribute( ul1, 'svelte-4076911439', '' );
+	ul1.className = "tree";
+	
+	appendNode( ul1, details );
+	var eachBlock1_anchor = createComment();
+	appendNode( eachBlock1_anchor, ul1 );
+	var eachBlock1_value = root.rows;
+	var eachBlock1_iterations = [];
+	
+	for ( var i2 = 0; i2 < eachBlock1_value.length; i2 += 1 ) {
+		eachBlock1_iterations[i2] = renderEachBlock1( root, eachBlock1_value, eachBlock1_value[i2], i2, component );
+		eachBlock1_iterations[i2].mount( eachBlock1_anchor.parentNode, eachBlock1_anchor );
+	}
+	
+	appendNode( createText( "\n\n  " ), details );
+	
+	var h21 = createElement( 'h2' );
+	setAttribute( h21, 'svelte-4076911439', '' );
+	
+	appendNode( h21, details );
+	appendNode( createText( "log " ), h21 );
+	
+	var button = createElement( 'button' );
+	setAttribute( button, 'svelte-4076911439', '' );
+	button.type = "button";
+	
+	function clickHandler ( event ) {
+		component.set({log: []});
+	}
+	
+	addEventListener( button, 'click', clickHandler );
+	
+	appendNode( button, h21 );
+	appendNode( createText( "clear" ), button );
+	appendNode( createText( "\n  " ), details );
+	
+	var ol = createElement( 'ol' );
+	setAttribute( ol, 'svelte-4076911439', '' );
+	ol.className = "log";
+	
+	appendNode( ol, details );
+	var eachBlock2_anchor = createComment();
+	appendNode( eachBlock2_anchor, ol );
+	var eachBlock2_value = root.log;
+	var eachBlock2_iterations = [];
+	
+	for ( var i3 = 0; i3 < eachBlock2_value.length; i3 += 1 ) {
+		eachBlock2_iterations[i3] = renderEachBlock2( root, eachBlock2_value, eachBlock2_value[i3], i3, component );
+		eachBlock2_iterations[i3].mount( eachBlock2_anchor.parentNode, eachBlock2_anchor );
+	}
+	
+	appendNode( createText( "\n\n  " ), details );
+	
+	var h22 = createElement( 'h2' );
+	setAttribute( h22, 'svelte-4076911439', '' );
+	
+	appendNode( h22, details );
+	appendNode( createText( "publish" ), h22 );
+	appendNode( createText( "\n  " ), details );
+	
+	var form1 = createElement( 'form' );
+	setAttribute( form1, 'svelte-4076911439', '' );
+	
+	function submitHandler1 ( event ) {
+		component.send(event);
+	}
+	
+	addEventListener( form1, 'submit', submitHandler1 );
+	
+	appendNode( form1, details );
+	
+	var input2 = createElement( 'input' );
+	setAttribute( input2, 'svelte-4076911439', '' );
+	input2.type = "text";
+	input2.placeholder = "topic";
+	
+	var input2_updating = false;
+	
+	function input2ChangeHandler () {
+		input2_updating = true;
+		component._set({ topic: input2.value });
+		input2_updating = false;
+	}
+	
+	addEventListener( input2, 'input', input2ChangeHandler );
+	
+	appendNode( input2, form1 );
+	
+	input2.value = root.topic;
+	
+	appendNode( createText( "\n    " ), form1 );
+	
+	var input3 = createElement( 'input' );
+	setAttribute( input3, 'svelte-4076911439', '' );
+	input3.type = "text";
+	input3.placeholder = "message";
+	
+	var input3_updating = false;
+	
+	function input3ChangeHandler () {
+		input3_updating = true;
+		component._set({ message: input3.value });
+		input3_updating = false;
+	}
+	
+	addEventListener( input3, 'input', input3ChangeHandler );
+	
+	appendNode( input3, form1 );
+	
+	input3.value = root.message;
+	
+	appendNode( createText( "\n    " ), form1 );
+	
+	var select1 = createElement( 'select' );
+	setAttribute( select1, 'svelte-4076911439', '' );
+	
+	var select1_updating = false;
+	
+	function select1ChangeHandler () {
+		select1_updating = true;
+		var selectedOption = select1.selectedOptions[0] || select1.options[0];
+		component._set({ publish_qos: selectedOption && selectedOption.__value });
+		select1_updating = false;
+	}
+	
+	addEventListener( select1, 'change', select1ChangeHandler );
+	
+	appendNode( select1, form1 );
+	
+	var option5 = createElement( 'option' );
+	setAttribute( option5, 'svelte-4076911439', '' );
+	option5.__value = "0";
+	option5.value = option5.__value;
+	
+	appendNode( option5, select1 );
+	appendNode( createText( "qos 0" ), option5 );
+	appendNode( createText( "\n      " ), select1 );
+	
+	var option6 = createElement( 'option' );
+	setAttribute( option6, 'svelte-4076911439', '' );
+	option6.__value = "1";
+	option6.value = option6.__value;
+	
+	appendNode( option6, select1 );
+	appendNode( createText( "qos 1" ), option6 );
+	appendNode( createText( "\n      " ), select1 );
+	
+	var option7 = createElement( 'option' );
+	setAttribute( option7, 'svelte-4076911439', '' );
+	option7.__value = "2";
+	option7.value = option7.__value;
+	
+	appendNode( option7, select1 );
+	appendNode( createText( "qos 2" ), option7 );
+	
+	var value1 = root.publish_qos;
+	console.log( 'value', value1 );
+	for ( var i4 = 0; i4 < select1.options.length; i4 += 1 ) {
+		var option4 = select1.options[i4];
+	
+		if ( option4.__value === value1 ) {
+			option4.selected = true;
+			break;
+		}
+	}
+	
+	appendNode( createText( "\n    " ), form1 );
+	
+	var label = createElement( 'label' );
+	setAttribute( label, 'svelte-4076911439', '' );
+	
+	appendNode( label, form1 );
+	
+	var input4 = createElement( 'input' );
+	setAttribute( input4, 'svelte-4076911439', '' );
+	input4.type = "checkbox";
+	
+	var input4_updating = false;
+	
+	function input4ChangeHandler () {
+		input4_updating = true;
+		component._set({ retain: input4.checked });
+		input4_updating = false;
+	}
+	
+	addEventListener( input4, 'change', input4ChangeHandler );
+	
+	appendNode( input4, label );
+	
+	input4.checked = root.retain;
+	
+	appendNode( createText( " retain" ), label );
+	appendNode( createText( "\n    " ), form1 );
+	
+	var input5 = createElement( 'input' );
+	setAttribute( input5, 'svelte-4076911439', '' );
+	input5.type = "submit";
+	input5.value = "publish";
+	
+	appendNode( input5, form1 );
+
+	return {
+		mount: function ( target, anchor ) {
+			insertNode( details, target, anchor );
+		},
+		
+		update: function ( changed, root ) {
+			var __tmp;
+		
+			if ( !input_updating ) {
+							input.value = root.filter;
+						}
+			
+			if ( !select_updating ) {
+							var value = root.subscribe_qos;
+			console.log( 'value', value );
+			for ( var i = 0; i < select.options.length; i += 1 ) {
+				var option = select.options[i];
+			
+				if ( option.__value === value ) {
+					option.selected = true;
+					break;
+				}
+			}
+						}
+			
+			var eachBlock_value = root.subscriptions;
+			
+			for ( var i1 = 0; i1 < eachBlock_value.length; i1 += 1 ) {
+				if ( !eachBlock_iterations[i1] ) {
+					eachBlock_iterations[i1] = renderEachBlock$1( root, eachBlock_value, eachBlock_value[i1], i1, component );
+					eachBlock_iterations[i1].mount( eachBlock_anchor.parentNode, eachBlock_anchor );
+				} else {
+					eachBlock_iterations[i1].update( changed, root, eachBlock_value, eachBlock_value[i1], i1 );
+				}
+			}
+			
+			teardownEach( eachBlock_iterations, true, eachBlock_value.length );
+			
+			eachBlock_iterations.length = eachBlock_value.length;
+			
+			var eachBlock1_value = root.rows;
+			
+			for ( var i2 = 0; i2 < eachBlock1_value.length; i2 += 1 ) {
+				if ( !eachBlock1_iterations[i2] ) {
+					eachBlock1_iterations[i2] = renderEachBlock1( root, eachBlock1_value, eachBlock1_value[i2], i2, component );
+					eachBlock1_iterations[i2].mount( eachBlock1_anchor.parentNode, eachBlock1_anchor );
+				} else {
+					eachBlock1_iterations[i2].update( changed, root, eachBlock1_value, eachBlock1_value[i2], i2 );
+				}
+			}
+			
+			teardownEach( eachBlock1_iterations, true, eachBlock1_value.length );
+			
+			eachBlock1_iterations.length = eachBlock1_value.length;
+			
+			var eachBlock2_value = root.log;
+			
+			for ( var i3 = 0; i3 < eachBlock2_value.length; i3 += 1 ) {
+				if ( !eachBlock2_iterations[i3] ) {
+					eachBlock2_iterations[i3] = renderEachBlock2( root, eachBlock2_value, eachBlock2_value[i3], i3, component );
+					eachBlock2_iterations[i3].mount( eachBlock2_anchor.parentNode, eachBlock2_anchor );
+				} else {
+					eachBlock2_iterations[i3].update( changed, root, eachBlock2_value, eachBlock2_value[i3], i3 );
+				}
+			}
+			
+			teardownEach( eachBlock2_iterations, true, eachBlock2_value.length );
+			
+			eachBlock2_iterations.length = eachBlock2_value.length;
+			
+			if ( !input2_updating ) {
+							input2.value = root.topic;
+						}
+			
+			if ( !input3_updating ) {
+							input3.value = root.message;
+						}
+			
+			if ( !select1_updating ) {
+							var value1 = root.publish_qos;
+			console.log( 'value', value1 );
+			for ( var i4 = 0; i4 < select1.options.length; i4 += 1 ) {
+				var option4 = select1.options[i4];
+			
+				if ( option4.__value === value1 ) {
+					option4.selected = true;
+					break;
+				}
+			}
+						}
+			
+			if ( !input4_updating ) {
+							input4.checked = root.retain;
+						}
+		},
+		
+		teardown: function ( detach ) {
+			removeEventListener( form, 'submit', submitHandler );
+			removeEventListener( input, 'input', inputChangeHandler );
+			removeEventListener( select, 'change', selectChangeHandler );
+			
+			teardownEach( eachBlock_iterations, false );
+			
+			teardownEach( eachBlock1_iterations, false );
+			
+			removeEventListener( button, 'click', clickHandler );
+			
+			teardownEach( eachBlock2_iterations, false );
+			
+			removeEventListener( form1, 'submit', submitHandler1 );
+			removeEventListener( input2, 'input', input2ChangeHandler );
+			removeEventListener( input3, 'input', input3ChangeHandler );
+			removeEventListener( select1, 'change', select1ChangeHandler );
+			removeEventListener( input4, 'change', input4ChangeHandler );
+			
+			if ( detach ) {
+				detachNode( details );
+			}
+		}
+	};
+}
+
+function renderEachBlock2 ( root, eachBlock2_value, entry, entry__index, component ) {
+	var li = createElement( 'li' );
+	setAttribute( li, 'svelte-4076911439', '' );
+	
+	var time = createElement( 'time' );
+	setAttribute( time, 'svelte-4076911439', '' );
+	
+	appendNode( time, li );
+	var last_text = entry.time;
+	var text = createText( last_text );
+	appendNode( text, time );
+	appendNode( createText( "\n        " ), li );
+	
+	var small = createElement( 'small' );
+	setAttribute( small, 'svelte-4076911439', '' );
+	
+	appendNode( small, li );
+	appendNode( createText( "qos " ), small );
+	var last_text3 = entry.qos;
+	var text3 = createText( last_text3 );
+	appendNode( text3, small );
+	var last_text4 = entry.retain ? ' retained' : '';
+	var text4 = createText( last_text4 );
+	appendNode( text4, small );
+	appendNode( createText( "\n        " ), li );
+	var last_text6 = entry.topic;
+	var text6 = createText( last_text6 );
+	appendNode( text6, li );
+	appendNode( createText( "\n        " ), li );
+	
+	var span = createElement( 'span' );
+	setAttribute( span, 'svelte-4076911439', '' );
+	span.className = "value";
+	
+	appendNode( span, li );
+	var last_text8 = entry.value;
+	var text8 = createText( last_text8 );
+	appendNode( text8, span );
+
+	return {
+		mount: function ( target, anchor ) {
+			insertNode( li, target, anchor );
+		},
+		
+		update: function ( changed, root, eachBlock2_value, entry, entry__index ) {
+			var __tmp;
+		
+			if ( ( __tmp = entry.time ) !== last_text ) {
+				text.data = last_text = __tmp;
+			}
+			
+			if ( ( __tmp = entry.qos ) !== last_text3 ) {
+				text3.data = last_text3 = __tmp;
+			}
+			
+			if ( ( __tmp = entry.retain ? ' retained' : '' ) !== last_text4 ) {
+				text4.data = last_text4 = __tmp;
+			}
+			
+			if ( ( __tmp = entry.topic ) !== last_text6 ) {
+				text6.data = last_text6 = __tmp;
+			}
+			
+			if ( ( __tmp = entry.value ) !== last_text8 ) {
+				text8.data = last_text8 = __tmp;
+			}
+		},
+		
+		teardown: function ( detach ) {
+			if ( detach ) {
+				detachNode( li );
+			}
+		}
+	};
+}
+
+function renderEachBlock1 ( root, eachBlock1_value, row, row__index, component ) {
+	var li = createElement( 'li' );
+	setAttribute( li, 'svelte-4076911439', '' );
+	li.style.cssText = "padding-left: " + ( row.depth ) + "em";
+	
+	var last_text = row.name || '/';
+	var text = createText( last_text );
+	appendNode( text, li );
+	appendNode( createText( "\n        " ), li );
+	var ifBlock_anchor = createComment();
+	appendNode( ifBlock_anchor, li );
+	
+	function getBlock ( root, eachBlock1_value, row, row__index ) {
+		if ( row.value !== ( 'undefined' in root ? root.undefined : undefined ) ) { return renderIfBlock_0$1; }
+		return null;
+	}
+	
+	var currentBlock = getBlock( root, eachBlock1_value, row, row__index );
+	var ifBlock = currentBlock && currentBlock( root, eachBlock1_value, row, row__index, component );
+	
+	if ( ifBlock ) { ifBlock.mount( ifBlock_anchor.parentNode, ifBlock_anchor ); }
+
+	return {
+		mount: function ( target, anchor ) {
+			insertNode( li, target, anchor );
+		},
+		
+		update: function ( changed, root, eachBlock1_value, row, row__index ) {
+			var __tmp;
+		
+			li.style.cssText = "padding-left: " + ( row.depth ) + "em";
+			
+			if ( ( __tmp = row.name || '/' ) !== last_text ) {
+				text.data = last_text = __tmp;
+			}
+			
+			var _currentBlock = currentBlock;
+			currentBlock = getBlock( root, eachBlock1_value, row, row__index );
+			if ( _currentBlock === currentBlock && ifBlock) {
+				ifBlock.update( changed, root, eachBlock1_value, row, row__index );
+			} else {
+				if ( ifBlock ) { ifBlock.teardown( true ); }
+				ifBlock = currentBlock && currentBlock( root, eachBlock1_value, row, row__index, component );
+				if ( ifBlock ) { ifBlock.mount( ifBlock_anchor.parentNode, ifBlock_anchor ); }
+			}
+		},
+		
+		teardown: function ( detach ) {
+			if ( ifBlock ) { ifBlock.teardown( false ); }
+			
+			if ( detach ) {
+				detachNode( li );
+			}
+		}
+	};
+}
+
+function renderIfBlock_0$1 ( root, eachBlock1_value, row, row__index, component ) {
+	var span = createElement( 'span' );
+	setAttribute( span, 'svelte-4076911439', '' );
+	span.className = "value";
+	
+	var last_text = row.value;
+	var text = createText( last_text );
+	appendNode( text, span );
+
+	return {
+		mount: function ( target, anchor ) {
+			insertNode( span, target, anchor );
+		},
+		
+		update: function ( changed, root, eachBlock1_value, row, row__index ) {
+			var __tmp;
+		
+			if ( ( __tmp = row.value ) !== last_text ) {
+				text.data = last_text = __tmp;
+			}
+		},
+		
+		teardown: function ( detach ) {
+			if ( detach ) {
+				detachNode( span );
+			}
+		}
+	};
+}
+
+function renderEachBlock$1 ( root, eachBlock_value, subscription, subscription__index, component ) {
+	var li = createElement( 'li' );
+	setAttribute( li, 'svelte-4076911439', '' );
+	
+	var last_text = subscription.filter;
+	var text = createText( last_text );
+	appendNode( text, li );
+	appendNode( createText( " " ), li );
+	
+	var small = createElement( 'small' );
+	setAttribute( small, 'svelte-4076911439', '' );
+	
+	appendNode( small, li );
+	appendNode( createText( "qos " ), small );
+	var last_text3 = subscription.qos;
+	var text3 = createText( last_text3 );
+	appendNode( text3, small );
+	appendNode( createText( "\n        " ), li );
+	
+	var button = createElement( 'button' );
+	setAttribute( button, 'svelte-4076911439', '' );
+	button.type = "button";
+	
+	function clickHandler ( event ) {
+		var eachBlock_value = this.__svelte.eachBlock_value, subscription__index = this.__svelte.subscription__index, subscription = eachBlock_value[subscription__index];
+		
+		component.unsubscribe(subscription.filter);
+	}
+	
+	addEventListener( button, 'click', clickHandler );
+	
+	button.__svelte = {
+		eachBlock_value: eachBlock_value,
+		subscription__index: subscription__index
+	};
+	
+	appendNode( button, li );
+	appendNode( createText( "×" ), button );
+
+	return {
+		mount: function ( target, anchor ) {
+			insertNode( li, target, anchor );
+		},
+		
+		update: function ( changed, root, eachBlock_value, subscription, subscription__index ) {
+			var __tmp;
+		
+			if ( ( __tmp = subscription.filter ) !== last_text ) {
+				text.data = last_text = __tmp;
+			}
+			
+			if ( ( __tmp = subscription.qos ) !== last_text3 ) {
+				text3.data = last_text3 = __tmp;
+			}
+			
+			button.__svelte.eachBlock_value = eachBlock_value;
+			button.__svelte.subscription__index = subscription__index;
+		},
+		
+		teardown: function ( detach ) {
+			removeEventListener( button, 'click', clickHandler );
+			
+			if ( detach ) {
+				detachNode( li );
+			}
+		}
+	};
+}
+
+function Explorer ( options ) {
+	options = options || {};
+	this._state = Object.assign( template$1.data(), options.data );
+	applyComputations$1( this._state, this._state, {}, true );
+	
+	this._observers = {
+		pre: Object.create( null ),
+		post: Object.create( null )
+	};
+	
+	this._handlers = Object.create( null );
+	
+	this._root = options._root;
+	this._yield = options._yield;
+	
+	this._torndown = false;
+	if ( !addedCss$1 ) { addCss$1(); }
+	
+	this._fragment = renderMainFragment$1( this._state, this );
+	if ( options.target ) { this._fragment.mount( options.target, null ); }
+	
+	if ( options._root ) {
+		options._root._renderHooks.push({ fn: template$1.oncreate, context: this });
+	} else {
+		template$1.oncreate.call( this );
+	}
+}
+
+Explorer.prototype = template$1.methods;
+
+Explorer.prototype.get = get;
+Explorer.prototype.fire = fire;
+Explorer.prototype.observe = observe;
+Explorer.prototype.on = on;
+Explorer.prototype.set = set;
+Explorer.prototype._flush = _flush;
+
+Explorer.prototype._set = function _set ( newState ) {
+	var oldState = this._state;
+	this._state = Object.assign( {}, oldState, newState );
+	applyComputations$1( this._state, newState, oldState, false );
+	
+	dispatchObservers( this, this._observers.pre, newState, oldState );
+	if ( this._fragment ) { this._fragment.update( newState, this._state ); }
+	dispatchObservers( this, this._observers.post, newState, oldState );
+};
+
+Explorer.prototype.teardown = Explorer.prototype.destroy = function destroy ( detach ) {
+	this.fire( 'teardown' );
+template$1.ondestroy.call( this );
+
+	this._fragment.teardown( detach !== false );
+	this._fragment = null;
+
+	this._state = {};
+	this._torndown = true;
+};
+
+// device sensors - each one can tell if it's supported, and listen for readings
+
+var round = function (n) { return Math.round(n * 100) / 100; };
+
+var sensors = {
+
+  battery: {
+    supported: function () { return 'getBattery' in navigator; },
+    listen: function (fn, failed) {
+      var battery, stopped;
+      var update = function () { return fn({
+        level: battery.level,
+        charging: battery.charging
+      }); };
+
+      navigator.getBattery().then(function (b) {
+        if(stopped) { return }
+        battery = b;
+        battery.addEventListener('levelchange', update);
+        battery.addEventListener('chargingchange', update);
+        update();
+      }, function () {
+        // blocked by permissions policy
+        if(!stopped) { failed(); }
+      });
+
+      return function () {
+        stopped = true;
+        if(!battery) { return }
+        battery.removeEventListener('levelchange', update);
+        battery.removeEventListener('chargingchange', update);
+      }
+    }
+  },
+
+  orientation: {
+    supported: function () { return 'DeviceOrientationEvent' in window; },
+    permission: function () { return permission(window.DeviceOrientationEvent); },
+    listen: function (fn) {
+      var update = function (e) { return fn({
+        alpha: round(e.alpha),
+        beta: round(e.beta),
+        gamma: round(e.gamma)
+      }); };
+      window.addEventListener('deviceorientation', update, false);
+      return function () { return window.removeEventListener('deviceorientation', update, false); }
+    }
+  },
+
+  motion: {
+    supported: function () { return 'DeviceMotionEvent' in window; },
+    permission: function () { return permission(window.DeviceMotionEvent); },
+    listen: function (fn) {
+      var update = function (e) {
+        var a = e.accelerationIncludingGravity;
+        if(a) { fn({x: round(a.x), y: round(a.y), z: round(a.z)}); }
+      };
+      window.addEventListener('devicemotion', update, false);
+      return function () { return window.removeEventListener('devicemotion', update, false); }
+    }
+  },
+
+  lux: {
+    supported: function () { return 'AmbientLightSensor' in window || 'ondevicelight' in window; },
+    listen: function (fn, failed) {
+      if('AmbientLightSensor' in window) {
+        // blocked by permissions policy, or no sensor after all
+        var sensor;
+        try {
+          sensor = new window.AmbientLightSensor();
+        } catch (e) {
+          if(!('ondevicelight' in window)) { throw e }
+        }
+
+        if(sensor) {
+          var update$1 = function () { return fn({lux: round(sensor.illuminance)}); };
+          var error = function () { return failed(); };
+          var stop = function () {
+            sensor.removeEventListener('reading', update$1);
+            sensor.removeEventListener('error', error);
+            sensor.stop();
+          };
+          sensor.addEventListener('reading', update$1);
+          sensor.addEventListener('error', error);
+          try {
+            sensor.start();
+          } catch (e) {
+            stop();
+            throw e
+          }
+          return stop
+        }
+      }
+
+      var update = function (e) { return fn({lux: round(e.value)}); };
+      window.addEventListener('devicelight', update, false);
+      return function () { return window.removeEventListener('devicelight', update, false); }
+    }
+  }
+
+};
+
+
+// iOS asks for permission (from a user gesture) before sending motion events
+var permission = function (Event) { return Event && typeof Event.requestPermission == 'function' ?
+    Event.requestPermission().then(function (result) { return result == 'granted'; }) :
+    Promise.resolve(true); };
+
+
+// has any value moved by at least threshold since we last sent
+var changed$1 = function (prev, next, threshold) { return !prev || Object.keys(next).some(function (key) { return typeof next[key] == 'number' ?
+      Math.abs(next[key] - prev[key]) >= threshold :
+      next[key] !== prev[key]; }
+  ); };
+
+
+// stream readings from a sensor, at most one every `rate` ms, and
+// only when they change by `threshold`.  failed() is called if the sensor
+// can't be used after all.  Returns a stop function.
+var stream = function (name, ref, send, failed) {
+  var rate = ref.rate; if ( rate === void 0 ) rate = 200;
+  var threshold = ref.threshold; if ( threshold === void 0 ) threshold = 0;
+  if ( failed === void 0 ) failed = function () {};
+
+  var sensor = sensors[name];
+  var last, pending, timer, stop, stopped;
+
+  var flush = function () {
+    timer = null;
+    if(pending && changed$1(last, pending, threshold)) {
+      last = pending;
+      send(last);
+      timer = setTimeout(flush, rate);
+    }
+    pending = null;
+  };
+
+  var reading = function (values) {
+    pending = values;
+    if(!timer) { flush(); }
+  };
+
+  var allowed = sensor.permission ? sensor.permission() : Promise.resolve(true);
+
+  var end = function () {
+    stopped = true;
+    clearTimeout(timer);
+    if(stop) { stop(); }
+    stop = null;
+  };
+
+  var fail = function () {
+    end();
+    failed();
+  };
+
+  // denied (or asked without a user gesture) counts as failing too
+  allowed.then(function (granted) {
+    if(stopped) { return }
+    if(!granted) { return fail() }
+    try {
+      stop = sensor.listen(reading, fail);
+    } catch (e) {
+      fail();
+    }
+  }, function () {
+    if(!stopped) { fail(); }
+  });
+
+  return end
+};
+
+// messages pushed to /phone/<clientId>/input/#
+
+// images are sent as raw bytes, we spot them by their first few
+var signatures = {
+  'image/png': [0x89, 0x50, 0x4e, 0x47],
+  'image/jpeg': [0xff, 0xd8, 0xff],
+  'image/gif': [0x47, 0x49, 0x46],
+  'image/webp': [0x52, 0x49, 0x46, 0x46]
+};
+
+var imageType = function (bytes) { return Object.keys(signatures).filter(function (type) { return signatures[type].every(function (byte, i) { return bytes[i] === byte; }); }
+  )[0]; };
+
+
+var parse$1 = function (text) {
+  try {
+    var json = JSON.parse(text);
+    return json && typeof json == 'object' ? json : null
+  } catch (e) {
+    return null
+  }
+};
+
+
+// browsers only ask for permission from a user gesture, so this is called
+// when the input row is tapped rather than when a notification arrives
+var allowNotifications = function () {
+  if('Notification' in window && Notification.permission == 'default') {
+    Notification.requestPermission();
+  }
+};
+
+var notify = function (options) {
+  if(!('Notification' in window) || Notification.permission != 'granted') { return }
+
+  var ref = options && typeof options == 'object' ?
+    options : {body: String(options)};
+  var title = ref.title; if ( title === void 0 ) title = 'ador';
+  var body = ref.body;
+
+  // chrome on android only lets a service worker show notifications
+  try {
+    new Notification(title, {body: body});
+  } catch (e) {
+    if(!('serviceWorker' in navigator)) { return }
+    navigator.serviceWorker.getRegistration()
+      .then(function (registration) { return registration && registration.showNotification(title, {body: body}); })
+      .catch(function () {});
+  }
+};
+
+
+// actions that a json message can trigger
+var actions = {
+  color: function (value) { return document.body.style.background = value; },
+  vibrate: function (value) { return navigator.vibrate && navigator.vibrate(value); },
+  notify: notify
+};
+
+
+// render an incoming message into $el, returns the kind of message it was.
+// Actions still run without an $el (when the layout has no input row)
+var handle = function (message, $el) {
+  var type = imageType(message);
+
+  if(type) {
+    var img = document.createElement('img');
+    img.src = URL.createObjectURL(new Blob([message], {type: type}));
+    img.onload = function () { return URL.revokeObjectURL(img.src); };
+    show$1($el, img);
+    return 'image'
+  }
+
+  var text = message.toString();
+
+  if(/^data:image\//.test(text)) {
+    var img$1 = document.createElement('img');
+    img$1.src = text;
+    show$1($el, img$1);
+    return 'image'
+  }
+
+  var json = parse$1(text);
+  var keys = json ? Object.keys(actions).filter(function (key) { return key in json; }) : [];
+
+  if(keys.length) {
+    keys.forEach(function (key) { return actions[key](json[key]); });
+    if(json.text) { show$1($el, document.createTextNode(json.text)); }
+    return 'action'
+  }
+
+  show$1($el, document.createTextNode(text));
+  return 'text'
+};
+
+
+var show$1 = function ($el, node) {
+  if(!$el) { return }
+  while($el.firstChild) { $el.removeChild($el.firstChild); }
+  $el.appendChild(node);
+};
+
+// camera captures - resized, jpeg encoded and sent in chunks
+
+/*
+Each message is an 8 byte header followed by part of the jpeg:
+
+  0 uint32  id     - the same for every chunk of one capture
+  4 uint16  index  - which chunk this is, from 0
+  6 uint16  total  - how many chunks make up the capture
+
+(big endian; see scripts/receive-capture.js for putting them back together)
+*/
+var HEADER = 8;
+var CHUNK = 16 * 1024;
+
+var header = function (id, index, total) {
+  var bytes = new Uint8Array(HEADER);
+  var view = new DataView(bytes.buffer);
+  view.setUint32(0, id);
+  view.setUint16(4, index);
+  view.setUint16(6, total);
+  return bytes
+};
+
+var chunks = function (bytes, id, size) {
+  if ( size === void 0 ) size = CHUNK;
+
+  var total = Math.ceil(bytes.length / size) || 1;
+  var list = [];
+
+  for(var index = 0; index < total; index++) {
+    var body = bytes.subarray(index * size, (index + 1) * size);
+    var chunk = new Uint8Array(HEADER + body.length);
+    chunk.set(header(id, index, total));
+    chunk.set(body, HEADER);
+    list.push(chunk);
+  }
+
+  return list
+};
+
+
+// draw the image into a canvas no bigger than max, and encode it as jpeg
+var resize = function (file, max, quality) {
+    if ( max === void 0 ) max = 1024;
+    if ( quality === void 0 ) quality = 0.8;
+
+    return new Promise(function (resolve, reject) {
+    var img = new Image();
+    var src = URL.createObjectURL(file);
+
+    img.onload = function () {
+      URL.revokeObjectURL(src);
+
+      var scale = Math.min(1, max / Math.max(img.width, img.height));
+      var canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+      canvas.toBlob(function (blob) { return blob ? resolve(blob) : reject(); }, 'image/jpeg', quality);
+    };
+    img.onerror = function () {
+      URL.revokeObjectURL(src);
+      reject();
+    };
+
+    img.src = src;
+  });
+};
+
+var read = function (blob) { return new Promise(function (resolve, reject) {
+    var reader = new FileReader();
+    reader.onload = function () { return resolve(new Uint8Array(reader.result)); };
+    reader.onerror = reject;
+    reader.readAsArrayBuffer(blob);
+  }); };
+
+
+// send a captured file, calling progress(sent, total) as chunks are acknowledged
+var upload = function (file, publish, progress) { return resize(file)
+    .then(read)
+    .then(function (bytes) { return new Promise(function (resolve) {
+      var id = Math.floor(Math.random() * 0xffffffff);
+      var list = chunks(bytes, id);
+      var sent = 0;
+
+      progress(sent, list.length);
+
+      list.forEach(function (chunk) { return publish(chunk, function () {
+          progress(++sent, list.length);
+          if(sent == list.length) { resolve(id); }
+        }); }
+      );
+    }); }); };
+
+// touch pad - every active touch point, and the gestures they make
+
+/*
+Points are published as {"p": phase, "t": [[id, x, y], ...]} with x & y
+normalised to 0-1 across the pad, phase one of "down", "move" or "up".
+
+With format "binary" the same goes in 2 + 5 bytes per point:
+
+  0 uint8  phase (0 down, 1 move, 2 up)
+  1 uint8  number of points
+  then for each point
+    uint8   id
+    uint16  x (0-65535)
+    uint16  y (0-65535)
+*/
+var PHASES = ['down', 'move', 'up'];
+
+var round$1 = function (n) { return Math.round(n * 1000) / 1000; };
+var clamp = function (n) { return Math.max(0, Math.min(1, n)); };
+
+var encode = function (phase, points, format) {
+  if(format != 'binary') {
+    return JSON.stringify({
+      p: phase,
+      t: points.map(function (ref) {
+        var id = ref.id;
+        var x = ref.x;
+        var y = ref.y;
+
+        return [id, round$1(x), round$1(y)];
+    })
+    })
+  }
+
+  var bytes = new Uint8Array(2 + points.length * 5);
+  var view = new DataView(bytes.buffer);
+  view.setUint8(0, PHASES.indexOf(phase));
+  view.setUint8(1, points.length);
+  points.forEach(function (ref, i) {
+    var id = ref.id;
+    var x = ref.x;
+    var y = ref.y;
+
+    view.setUint8(2 + i * 5, id);
+    view.setUint16(3 + i * 5, Math.round(x * 0xffff));
+    view.setUint16(5 + i * 5, Math.round(y * 0xffff));
+  });
+  return bytes
+};
+
+
+// gesture timings (ms) and distances (px)
+var TAP_TIME = 250;
+var LONG_PRESS = 500;
+var WOBBLE = 10;
+var SWIPE = 50;
+var SWIPE_TIME = 500;
+var PINCH_STEP = 0.05;
+
+var distance = function (a, b) { return Math.sqrt(Math.pow(a.px - b.px, 2) + Math.pow(a.py - b.py, 2)); };
+
+// spot tap, long-press, swipe and pinch from pointers going down/moving/up
+var recognise = function (emit) {
+  var pointers = {};
+  var pinch = null;
+
+  var ids = function () { return Object.keys(pointers); };
+
+  var startPinch = function () {
+    var ref = ids().map(function (id) { return pointers[id]; });
+    var a = ref[0];
+    var b = ref[1];
+    pinch = {start: distance(a, b), scale: 1};
+  };
+
+  return {
+    down: function (id, point) {
+      pointers[id] = Object.assign({
+        start: point,
+        at: Date.now(),
+        moved: false,
+        timer: setTimeout(function () {
+          var pointer = pointers[id];
+          if(pointer && !pointer.moved && ids().length == 1) {
+            pointer.pressed = true;
+            emit({gesture: 'long-press', x: round$1(point.x), y: round$1(point.y)});
+          }
+        }, LONG_PRESS)
+      }, point);
+
+      if(ids().length == 2) { startPinch(); }
+    },
+
+    move: function (id, point) {
+      var pointer = pointers[id];
+      if(!pointer) { return }
+
+      Object.assign(pointer, point);
+      if(distance(pointer.start, point) > WOBBLE) { pointer.moved = true; }
+
+      if(pinch && ids().length == 2) {
+        var ref = ids().map(function (id) { return pointers[id]; });
+        var a = ref[0];
+        var b = ref[1];
+        var scale = distance(a, b) / (pinch.start || 1);
+        if(Math.abs(scale - pinch.scale) >= PINCH_STEP) {
+          pinch.scale = scale;
+          emit({gesture: 'pinch', scale: round$1(scale)});
+        }
+      }
+    },
+
+    up: function (id, point) {
+      var pointer = pointers[id];
+      if(!pointer) { return }
+
+      clearTimeout(pointer.timer);
+      delete pointers[id];
+
+      var took = Date.now() - pointer.at;
+      var dx = point.px - pointer.start.px;
+      var dy = point.py - pointer.start.py;
+
+      if(pinch) {
+        // the last of a pinch shouldn't count as a tap or swipe
+        if(!ids().length) { pinch = null; }
+        return
+      }
+
+      if(pointer.pressed) { return }
+
+      if(!pointer.moved && took < TAP_TIME) {
+        emit({gesture: 'tap', x: round$1(point.x), y: round$1(point.y)});
+      } else if(took < SWIPE_TIME && Math.max(Math.abs(dx), Math.abs(dy)) > SWIPE) {
+        emit({
+          gesture: 'swipe',
+          direction: Math.abs(dx) > Math.abs(dy) ?
+            (dx > 0 ? 'right' : 'left') :
+            (dy > 0 ? 'down' : 'up')
+        });
+      }
+    }
+  }
+};
+
+
+// follow pointers on el - send(payload) for points, gesture(json) for gestures
+var pad = function (el, send, gesture, format) {
+  var active = {};
+  var gestures = recognise(gesture);
+  var frame = null;
+
+  // pointer ids can be large, so number them as they arrive
+  var next = 0;
+  var ids = {};
+
+  var point = function (e) {
+    var rect = el.getBoundingClientRect();
+    var px = e.clientX - rect.left;
+    var py = e.clientY - rect.top;
+    return {
+      id: ids[e.pointerId],
+      px: px, py: py,
+      x: clamp(px / (rect.width || 1)),
+      y: clamp(py / (rect.height || 1))
+    }
+  };
+
+  var points = function () { return Object.keys(active).map(function (key) { return active[key]; }); };
+
+  // moves are sent at most once a frame
+  var flush = function () {
+    frame = null;
+    var list = points();
+    if(list.length) { send(encode('move', list, format)); }
+  };
+
+  var down = function (e) {
+    e.preventDefault();
+    if(el.setPointerCapture) { el.setPointerCapture(e.pointerId); }
+
+    ids[e.pointerId] = next++ % 256;
+    var p = active[e.pointerId] = point(e);
+
+    send(encode('down', [p], format));
+    gestures.down(e.pointerId, p);
+  };
+
+  var move = function (e) {
+    if(!active[e.pointerId]) { return }
+    e.preventDefault();
+
+    var p = active[e.pointerId] = point(e);
+    gestures.move(e.pointerId, p);
+
+    if(!frame) { frame = requestAnimationFrame(flush); }
+  };
+
+  var up = function (e) {
+    if(!active[e.pointerId]) { return }
+    e.preventDefault();
+
+    var p = point(e);
+    delete active[e.pointerId];
+    delete ids[e.pointerId];
+
+    send(encode('up', [p], format));
+    gestures.up(e.pointerId, p);
+  };
+
+  el.addEventListener('pointerdown', down, false);
+  el.addEventListener('pointermove', move, false);
+  el.addEventListener('pointerup', up, false);
+  el.addEventListener('pointercancel', up, false);
+
+  return function () {
+    if(frame) { cancelAnimationFrame(frame); }
+    el.removeEventListener('pointerdown', down, false);
+    el.removeEventListener('pointermove', move, false);
+    el.removeEventListener('pointerup', up, false);
+    el.removeEventListener('pointercancel', up, false);
+  }
+};
+
+// positioning - our geolocation, and how far away everyone else is
+
+/*
+Positions are published as json:
+
+  {"lat": 51.5, "lon": -0.12, "accuracy": 12, "heading": 90, "speed": 1.2, "at": 1500000000000}
+
+heading (degrees from north) and speed (m/s) are null when unknown.
+*/
+
+var supported = function () { return 'geolocation' in navigator; };
+
+var round$2 = function (n, places) {
+  if(typeof n != 'number' || isNaN(n)) { return null }
+  var m = Math.pow(10, places);
+  return Math.round(n * m) / m
+};
+
+var fix = function (ref) {
+  var coords = ref.coords;
+  var timestamp = ref.timestamp;
+
+  return ({
+  lat: round$2(coords.latitude, 6),
+  lon: round$2(coords.longitude, 6),
+  accuracy: round$2(coords.accuracy, 1),
+  heading: round$2(coords.heading, 1),
+  speed: round$2(coords.speed, 2),
+  at: timestamp || Date.now()
+});
+};
+
+var parse$3 = function (text) {
+  try {
+    var position = JSON.parse(text);
+    return typeof position.lat == 'number' && typeof position.lon == 'number' ?
+      position : null
+  } catch (e) {
+    return null
+  }
+};
+
+
+// watch our position, sending at most one fix every `interval` ms.  failed()
+// is called if we're refused, or can't get a fix.  Returns a stop function.
+var watch = function (send, interval, failed) {
+  if ( interval === void 0 ) interval = 5000;
+  if ( failed === void 0 ) failed = function () {};
+
+  var last = 0;
+
+  var id = navigator.geolocation.watchPosition(function (position) {
+    var now = Date.now();
+    if(now - last < interval) { return }
+    last = now;
+    send(fix(position));
+  }, function () { return failed(); }, {
+    enableHighAccuracy: true,
+    maximumAge: interval
+  });
+
+  return function () { return navigator.geolocation.clearWatch(id); }
+};
+
+
+var RADIUS = 6371e3;
+var rad = function (deg) { return deg * Math.PI / 180; };
+var deg = function (rad) { return rad * 180 / Math.PI; };
+
+// metres between two positions
+var distance$1 = function (a, b) {
+  var dLat = rad(b.lat - a.lat);
+  var dLon = rad(b.lon - a.lon);
+  var h = Math.pow(Math.sin(dLat / 2), 2) +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.pow(Math.sin(dLon / 2), 2);
+
+  return 2 * RADIUS * Math.asin(Math.sqrt(h))
+};
+
+// degrees from north, going from a to b
+var bearing = function (a, b) {
+  var y = Math.sin(rad(b.lon - a.lon)) * Math.cos(rad(b.lat));
+  var x = Math.cos(rad(a.lat)) * Math.sin(rad(b.lat)) -
+    Math.sin(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.cos(rad(b.lon - a.lon));
+
+  return (deg(Math.atan2(y, x)) + 360) % 360
+};
+
+var compass = function (degrees) { return ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'][Math.round(degrees / 45) % 8]; };
+
+var metres = function (m) { return m < 1000 ? ((Math.round(m)) + "m") : (((m / 1000).toFixed(1)) + "km"); };
+
+
+// everyone else, nearest first - [{name, distance, bearing}]
+var nearby = function (me, others) { return Object.keys(others)
+    .map(function (name) { return ({
+      name: name,
+      distance: distance$1(me, others[name]),
+      bearing: bearing(me, others[name])
+    }); })
+    .sort(function (a, b) { return a.distance - b.distance; }); };
+
+
+// draw the list of nearby devices, each with an arrow pointing their way
+var draw = function (canvas, list, empty) {
+  if ( empty === void 0 ) empty = 'nobody nearby';
+
+  var ratio = window.devicePixelRatio || 1;
+  var width = canvas.clientWidth;
+  var row = 32;
+  var height = Math.max(1, list.length) * row;
+
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  canvas.style.height = height + "px";
+
+  var ctx = canvas.getContext('2d');
+  ctx.scale(ratio, ratio);
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '16px AvenirNext-bold, Arial';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = ctx.strokeStyle = '#333';
+  ctx.lineWidth = 2;
+
+  if(!list.length) {
+    ctx.fillStyle = '#aaa';
+    ctx.fillText(empty, 0, row / 2);
+    return
+  }
+
+  list.forEach(function (ref, i) {
+    var name = ref.name;
+    var distance = ref.distance;
+    var bearing = ref.bearing;
+
+    var y = i * row + row / 2;
+
+    // arrow, rotated to point at them
+    ctx.save();
+    ctx.translate(row / 2, y);
+    ctx.rotate(rad(bearing));
+    ctx.beginPath();
+    ctx.moveTo(0, row / 3);
+    ctx.lineTo(0, -row / 3);
+    ctx.moveTo(-row / 6, -row / 6);
+    ctx.lineTo(0, -row / 3);
+    ctx.lineTo(row / 6, -row / 6);
+    ctx.stroke();
+    ctx.restore();
+
+    ctx.fillText(
+      (name + "  " + (metres(distance)) + "  " + (Math.round(bearing)) + "° " + (compass(bearing))),
+      row * 1.25, y
+    );
+  });
+};
+
+// control types for the layout - each one fills in its row, and returns
+// a function to tidy up when the layout is replaced
+
+// fill in {{name}} placeholders
+var fill = function (template, values) { return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, function (match, name) { return name in values ? values[name] : match; }
+  ); };
+
+var element = function (name, attributes) {
+  var el = document.createElement(name);
+  Object.keys(attributes || {}).forEach(function (key) { return el.setAttribute(key, attributes[key]); });
+  return el
+};
+
+var nothing$1 = function () {};
+
+
+// publish a control's payload, with count/time/value filled in
+var sender = function (control, context, defaults) {
+  var count = 0;
+
+  return function (value, extra) {
+    var values = Object.assign({
+      clientId: context.clientId,
+      count: ++count,
+      time: Date.now(),
+      value: value
+    }, extra);
+
+    context.publish(
+      fill(control.topic || defaults.topic, values),
+      fill(control.payload || defaults.payload, values),
+      {qos: control.qos || 0, retain: !!control.retain}
+    );
+  }
+};
+
+
+var controls = {
+
+  // {"type": "button", "topic": "...", "payload": "t-{{count}}"}
+  button: function (li, control, context) {
+    var send = sender(control, context, {
+      topic: '/phone/{{clientId}}/button',
+      payload: '{{count}}'
+    });
+
+    // a tap fires touchstart and then click, only send the first
+    var touched = 0;
+    var press = function (e) {
+      e.preventDefault();
+      if(e.type == 'touchstart') { touched = Date.now(); }
+      else if(Date.now() - touched < 1000) { return }
+      send(true);
+    };
+
+    li.addEventListener('click', press, false);
+    li.addEventListener('touchstart', press, false);
+
+    return nothing$1
+  },
+
+  // {"type": "toggle", "payload": "{{value}}"} - value is true or false
+  toggle: function (li, control, context) {
+    var send = sender(control, context, {
+      topic: '/phone/{{clientId}}/toggle',
+      payload: '{{value}}'
+    });
+    var on = !!control.value;
+
+    li.classList.toggle('on', on);
+    li.addEventListener('click', function (e) {
+      e.preventDefault();
+      on = !on;
+      li.classList.toggle('on', on);
+      send(on);
+    }, false);
+
+    return nothing$1
+  },
+
+  // {"type": "slider", "min": 0, "max": 100, "step": 1}
+  slider: function (li, control, context) {
+    var send = sender(control, context, {
+      topic: '/phone/{{clientId}}/slider',
+      payload: '{{value}}'
+    });
+    var input = element('input', {
+      type: 'range',
+      min: control.min || 0,
+      max: control.max === undefined ? 100 : control.max,
+      step: control.step || 1,
+      value: control.value || 0
+    });
+
+    input.addEventListener('input', function () { return send(input.value); }, false);
+    li.appendChild(input);
+
+    return nothing$1
+  },
+
+  // {"type": "text", "placeholder": "say something"}
+  text: function (li, control, context) {
+    var send = sender(control, context, {
+      topic: '/phone/{{clientId}}/text',
+      payload: '{{value}}'
+    });
+    var form = element('form');
+    var input = element('input', {
+      type: 'text',
+      placeholder: control.placeholder || ''
+    });
+
+    form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      send(input.value);
+      input.value = '';
+    }, false);
+
+    form.appendChild(input);
+    li.appendChild(form);
+
+    return nothing$1
+  },
+
+  // {"type": "sensor", "sensors": ["orientation", "motion"], "rate": 100, "threshold": 1}
+  // streams while the row has focus, payload values are the sensor's json
+  sensor: function (li, control, context) {
+    var names = [].concat(control.sensors || control.sensor || [])
+      .filter(function (name) { return sensors[name] && sensors[name].supported(); });
+
+    if(!names.length) {
+      li.classList.add('inactive');
+      return nothing$1
+    }
+
+    var send = sender(control, context, {
+      topic: '/phone/{{clientId}}/{{sensor}}',
+      payload: '{{value}}'
+    });
+    var config = {rate: control.rate, threshold: control.threshold};
+    var stops = [];
+
+    var start = function () {
+      stops = names.map(function (name) { return stream(
+          name, config,
+          function (values) { return send(JSON.stringify(values), {sensor: name}); },
+          function () { return li.classList.add('inactive'); }
+        ); }
+      );
+    };
+    var stop = function () {
+      stops.forEach(function (stop) { return stop(); });
+      stops = [];
+    };
+
+    li.addEventListener('focus', start, false);
+    li.addEventListener('blur', stop, false);
+
+    return stop
+  },
+
+  // {"type": "touchpad", "format": "json", "gestures": "/phone/{{clientId}}/gesture"}
+  // publishes touch points to topic, and tap/long-press/swipe/pinch to gestures
+  touchpad: function (li, control, context) {
+    var topic = fill(control.topic || '/phone/{{clientId}}/touch', context);
+    var gestures = fill(control.gestures || '/phone/{{clientId}}/gesture', context);
+    var opts = {qos: control.qos || 0};
+    var area = element('div', {class: 'pad'});
+
+    li.appendChild(area);
+
+    return pad(
+      area,
+      function (payload) { return context.publish(topic, payload, opts); },
+      function (gesture) { return context.publish(gestures, JSON.stringify(gesture), opts); },
+      control.format
+    )
+  },
+
+  // {"type": "position", "interval": 5000, "maxAge": 300000}
+  // streams our position while focused, and lists everyone else's.  Anything
+  // on our own topic counts as where we are - so a fake can be published there
+  position: function (li, control, context) {
+    var topic = fill(control.topic || '/phone/{{clientId}}/position', context);
+    var filter = control.filter || '/phone/+/position';
+    var maxAge = control.maxAge || 5 * 60 * 1000;
+    var canvas = element('canvas', {class: 'radar'});
+    var others = {};
+    var me = null, lost = false, stop = nothing$1, timer;
+
+    if(!supported()) { li.classList.add('inactive'); }
+
+    var update = function () {
+      var now = Date.now();
+      Object.keys(others)
+        .filter(function (name) { return now - (others[name].at || now) > maxAge; })
+        .forEach(function (name) { return delete others[name]; });
+
+      if(!li.classList.contains('active')) { return }
+
+      if(me) { draw(canvas, nearby(me, others)); }
+      else { draw(canvas, [], lost ? 'no position' : 'finding you…'); }
+    };
+
+    var unsubscribe = context.subscribe(filter, function (t, message) {
+      var fix$$1 = parse$3(message.toString());
+      var name = t.split('/')[2];
+
+      if(t == topic) { me = fix$$1; }
+      else if(fix$$1) { others[name] = fix$$1; }
+      else { delete others[name]; }
+
+      update();
+    });
+
+    li.addEventListener('focus', function () {
+      update();
+
+      // people drop off once they go quiet, even if nothing else arrives
+      clearInterval(timer);
+      timer = setInterval(update, 5000);
+
+      if(!supported()) { return }
+      stop = watch(function (fix$$1) {
+        lost = false;
+        li.classList.remove('inactive');
+        context.publish(topic, JSON.stringify(fix$$1), {
+          qos: control.qos || 0,
+          retain: !!control.retain
+        });
+      }, control.interval, function () {
+        lost = true;
+        li.classList.add('inactive');
+        update();
+      });
+    }, false);
+
+    var blur = function () {
+      clearInterval(timer);
+      stop();
+      stop = nothing$1;
+    };
+
+    li.addEventListener('blur', blur, false);
+
+    li.appendChild(canvas);
+
+    return function () {
+      blur();
+      unsubscribe();
+    }
+  },
+
+  // {"type": "camera", "topic": "/phone/{{clientId}}/capture"}
+  camera: function (li, control, context) {
+    var topic = fill(control.topic || '/phone/{{clientId}}/capture', context);
+    var input = element('input', {
+      type: 'file',
+      accept: 'image/*',
+      capture: 'camera'
+    });
+
+    input.addEventListener('change', function () {
+      var file = input.files[0];
+      if(!file) { return }
+
+      upload(
+        file,
+        function (chunk, cb) { return context.publish(topic, chunk, {qos: control.qos || 1}, cb); },
+        context.progress
+      ).then(function () { return input.value = ''; }, function () { return context.progress(0, 0); });
+    }, false);
+
+    li.appendChild(input);
+
+    return nothing$1
+  },
+
+  // {"type": "input"} - where messages to /phone/<clientId>/input/# are shown
+  input: function (li) {
+    li.id = 'input';
+    li.appendChild(element('section'));
+    li.addEventListener('click', allowNotifications, false);
+    return nothing$1
+  },
+
+  // {"type": "spacer"}
+  spacer: function (li) {
+    li.className = 'spacer';
+    li.removeAttribute('tabindex');
+    return nothing$1
+  }
+
+};
+
+// the list of controls, built from a json layout
+
+/*
+A layout is a list of controls (or {"controls": [...]}), eg.
+
+  [
+    {"type": "button", "label": "→ /$/tap", "topic": "/phone/{{clientId}}/taps", "payload": "t-{{count}}"},
+    {"type": "spacer"},
+    {"type": "slider", "label": "volume", "max": 11, "qos": 1, "retain": true}
+  ]
+
+It's loaded from ?layout=<url>, and replaced by anything retained on
+/phone/<clientId>/layout.  See controls.js for the types and their options.
+*/
+
+var fallback$2 = [
+  {type: 'sensor', label: '→ /$/battery', sensors: ['battery'], rate: 1000},
+  {type: 'touchpad', id: 'touch', label: '→ /$/touch'},
+  {type: 'sensor', label: '→ /$/orientation', sensors: ['orientation', 'motion'], rate: 100, threshold: 1},
+  {type: 'sensor', label: '→ /$/lux', sensors: ['lux'], rate: 500, threshold: 5},
+
+  {type: 'spacer'},
+  {type: 'input', label: '← /~/input'},
+
+  {type: 'spacer'},
+  {type: 'position', label: '« positioning »'},
+
+  {type: 'spacer'},
+  {type: 'camera'}
+];
+
+
+// a layout from some json, or null if it doesn't look like one
+var parse$2 = function (text) {
+  var json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    return null
+  }
+
+  var list = Array.isArray(json) ? json : json && json.controls;
+  if(!Array.isArray(list)) { return null }
+
+  return list.filter(function (control) { return control && typeof control.type == 'string'; })
+};
+
+
+// fetch the layout named in ?layout=, or use the default
+var load$1 = function (search) {
+  var match = (search || '').match(/[?&]layout=([^&#]*)/);
+  if(!match) { return Promise.resolve(fallback$2) }
+
+  return fetch(decode(match[1]))
+    .then(function (res) { return res.text(); })
+    .then(function (text) { return parse$2(text) || fallback$2; }, function () { return fallback$2; })
+};
+
+
+// a row with just the control's label
+var row = function (control) {
+  var li = document.createElement('li');
+  li.setAttribute('tabindex', '1');
+  li.textContent = control.label || '';
+  if(typeof control.id == 'string') { li.id = control.id; }
+
+  li.addEventListener('focus', function () { return li.classList.add('active'); }, false);
+  li.addEventListener('blur', function () { return li.classList.remove('active'); }, false);
+
+  return li
+};
+
+var nothing = function () {};
+
+
+// render controls into $list, returns a function to tear them down
+var render = function ($list, layout, context) {
+  while($list.firstChild) { $list.removeChild($list.firstChild); }
+
+  var teardowns = layout.map(function (control) {
+    var li = row(control);
+    var teardown = nothing;
+
+    // unknown types are just labels, and so are ones with options we can't use
+    if(Object.prototype.hasOwnProperty.call(controls, control.type)) {
+      try {
+        teardown = controls[control.type](li, control, context);
+      } catch (e) {
+        li = row(control);
+      }
+    }
+
+    $list.appendChild(li);
+    return typeof teardown == 'function' ? teardown : nothing
+  });
+
+  return function () { return teardowns.forEach(function (teardown) { return teardown(); }); }
+};
+
+// who this device is - kept across reloads so dashboards see the same phone
+
+var KEY$1 = 'ador.clientId';
+
+var generate = function () { return ("c_" + (Math.random().toString(16).substr(2, 6))); };
+
+// client ids end up in topics, so keep them to something safe
+var clean = function (name) { return (name || '').trim().replace(/[^\w-]+/g, '-').substr(0, 23); };
+
+// each tab keeps its own id in sessionStorage (two tabs with one id would
+// keep kicking each other off the broker).  localStorage remembers the last
+// one, so a new tab carries on as the same phone if nobody else is using it
+var get$1 = function (storage) {
+  try {
+    return window[storage].getItem(KEY$1)
+  } catch (e) {
+    return null
+  }
+};
+
+var set$1 = function (storage, value) {
+  try {
+    window[storage].setItem(KEY$1, value);
+  } catch (e) {
+    // private mode, or storage full
+  }
+};
+
+
+// ids open in a tab right now, with when that tab last checked in
+var OPEN = 'ador.clientIds';
+var FRESH = 15000;
+
+var open$1 = function () {
+  try {
+    return JSON.parse(localStorage.getItem(OPEN)) || {}
+  } catch (e) {
+    return {}
+  }
+};
+
+var taken = function (id) { return Date.now() - (open$1()[id] || 0) < FRESH; };
+
+var mine = null;
+
+var claim = function (id) {
+  var ids = open$1();
+  var now = Date.now();
+  Object.keys(ids)
+    .filter(function (other) { return other == mine || now - ids[other] > FRESH; })
+    .forEach(function (other) { return delete ids[other]; });
+  if(id) { ids[id] = now; }
+
+  try {
+    localStorage.setItem(OPEN, JSON.stringify(ids));
+  } catch (e) {
+    // nowhere to share it, duplicate tabs will have to fight it out
+  }
+};
+
+setInterval(function () { return mine && claim(mine); }, FRESH / 3);
+
+// let go when the tab closes or reloads, so a reload keeps its id
+window.addEventListener('pagehide', function () { return claim(null); }, false);
+window.addEventListener('pageshow', function (e) { return e.persisted && mine && claim(mine); }, false);
+
+var keep = function (id) {
+  set$1('sessionStorage', id);
+  set$1('localStorage', id);
+  claim(id);
+  mine = id;
+};
+
+var load$2 = function () {
+  // a duplicated tab copies sessionStorage, so check nobody has it
+  var id = clean(get$1('sessionStorage'));
+
+  if(!id || taken(id)) {
+    var last = clean(get$1('localStorage'));
+    id = last && !taken(last) ? last : generate();
+  }
+
+  keep(id);
+  return id
+};
+
+var rename = function (name) {
+  // someone else's id would get one of us kicked off
+  var id = clean(name);
+  if(!id || taken(id)) { return null }
+  keep(id);
+  return id
+};
+
+
+// retained status, with a last will so the broker marks us offline
+var status = function (clientId) { return ("/phone/" + clientId + "/status"); };
+
+var will = function (clientId) { return ({
+  topic: status(clientId),
+  payload: 'offline',
+  qos: 1,
+  retain: true
+}); };
+
+var meta = function (clientId, sensors) { return JSON.stringify({
+  clientId: clientId,
+  userAgent: navigator.userAgent,
+  sensors: Object.keys(sensors).filter(function (name) { return sensors[name].supported(); }),
+  vibrate: 'vibrate' in navigator,
+  notifications: 'Notification' in window,
+  camera: 'capture' in document.createElement('input')
+}); };
+
+var qs = document.querySelector.bind(document);
+
+var clientId = load$2();
+
+// read before connecting, which rewrites the url
+var layout = load$1(location.search);
+
+
+// pick a broker (see broker.js for the url rules)
+var connection = new Connection({
+  target: qs('#connection'),
+  data: {
+    autoconnect: true,
+    options: {clientId: clientId, will: will(clientId)}
+  }
+});
+
+
+// debug panel for watching traffic
+var explorer = new Explorer({
+  target: qs('#explorer')
+});
+
+
+// announce ourselves (the broker sends our will if we vanish)
+onClient(function (client) {
+  var announce = function () {
+    client.publish(status(clientId), 'online', {qos: 1, retain: true});
+    client.publish(("/phone/" + clientId + "/meta"), meta(clientId, sensors), {qos: 1, retain: true});
+  };
+  announce();
+  client.on('connect', announce);
+});
+
+
+// tap the title to rename this device
+var $name = qs('#name');
+$name.innerText = clientId;
+$name.addEventListener('click', function () {
+  var name = prompt('Rename this device', clientId);
+  if(!name || clean(name) == clientId) { return }
+
+  if(!rename(name)) { return }
+
+  // clear what we'd retained under the old name, and go offline there
+  var client = current();
+  if(client && client.connected) {
+    client.publish(("/phone/" + clientId + "/meta"), '', {qos: 1, retain: true});
+  }
+  var reload = function () { return location.reload(); };
+  leave(reload);
+  setTimeout(reload, 2000);
+}, false);
+
+
+// keep track of packets sent and received
+var up = 0;
+var dn = 0;
+var progress = '';
+var $up = qs('#up');
+var $dn = qs('#dn');
+var renderUp = function () { return $up.innerText = '↑'+up+progress; };
+onState(function (state) { return $up.className = $dn.className = state; });
+onClient(function (client) {
+  client.on('packetsend', function () {
+    up++;
+    renderUp();
+  });
+  client.on('packetreceive', function () { return $dn.innerText = '↓'+(++dn); });
+});
+
+
+// messages waiting for us to reconnect
+var $queued = qs('#queued');
+onChange(function (count$$1) { return $queued.innerText = count$$1 ? ("⧖" + count$$1) : ''; });
+
+
+// the controls, from ?layout= or a layout retained for this device
+var $controls = qs('#controls');
+var context = {
+  clientId: clientId,
+  publish: publish,
+  subscribe: subscribe,
+  progress: function (sent, total) {
+    progress = sent < total ? (" (" + sent + "/" + total + ")") : '';
+    renderUp();
+  }
+};
+
+// a retained layout wins over ?layout=, and the broker sends it again on
+// every reconnect - only rebuild (and stop any streams) when it changes
+var initial = fallback$2;
+var retained = false;
+var last = '';
+var teardown = function () {};
+var show = function (controls) {
+  teardown();
+  teardown = render($controls, controls, context);
+};
+
+layout.then(function (controls) {
+  initial = controls;
+  if(!retained) { show(controls); }
+});
+
+subscribe(("/phone/" + clientId + "/layout"), function (topic, message) {
+  var text = message.toString();
+  if(text == last) { return }
+  last = text;
+
+  // an empty (cleared) layout puts things back how they were
+  var controls = text && parse$2(text);
+  retained = !!controls;
+  show(controls || initial);
+}, {qos: 1});
+
+// render anything sent to our input topic
+subscribe(("/phone/" + clientId + "/input/#"), function (topic, message) {
+  var $input = qs('#input');
+  handle(message, $input && $input.querySelector('section'));
+  if($input) { $input.classList.add('received'); }
+});
@@ -0,0 +1,51 @@
+// publishes made up devices, walking in circles around a point
+//
+//   node scripts/fake-positions.js [broker] [lat,lon] [clientId]
+//   node scripts/fake-positions.js ws://localhost:9001 51.5074,-0.1278 c_1a2b3c
+//
+// pass a clientId to also put that phone at the centre (handy on a desktop
+// browser with no gps)
+
+const mqtt = require('mqtt')
+
+const url = process.argv[2] || 'wss://iot.benjaminbenben.eu'
+const centre = (process.argv[3] || '51.5074,-0.1278').split(',').map(Number)
+const me = process.argv[4]
+
+const DEVICES = 5
+const METRES = 1 / 111320
+
+const client = mqtt.connect(url)
+
+const publish = (name, position) =>
+  client.publish(`/phone/${name}/position`, JSON.stringify(Object.assign({
+    accuracy: 5,
+    heading: null,
+    speed: null,
+    at: Date.now()
+  }, position)))
+
+client.on('connect', () => console.log(`connected to ${url}`))
+
+// one interval for the whole run - 'connect' fires again on every reconnect
+let tick = 0
+setInterval(() => {
+  if(!client.connected) return
+  tick++
+
+  if(me) publish(me, {lat: centre[0], lon: centre[1]})
+
+  for(let i = 0; i < DEVICES; i++) {
+    const radius = 50 * (i + 1)
+    const angle = (tick / 20 + i / DEVICES) * 2 * Math.PI
+    const lat = centre[0] + Math.cos(angle) * radius * METRES
+    const lon = centre[1] + Math.sin(angle) * radius * METRES / Math.cos(centre[0] * Math.PI / 180)
+
+    publish(`fake-${i}`, {lat, lon, heading: (angle * 180 / Math.PI + 90) % 360, speed: 1.4})
+  }
+}, 1000)
+
+client.on('error', err => {
+  console.error(err.message)
+  process.exitCode = 1
+})
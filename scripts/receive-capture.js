@@ -0,0 +1,86 @@
+// puts camera captures back together, and writes them to disk
+//
+//   node scripts/receive-capture.js [broker] [directory]
+//   node scripts/receive-capture.js ws://localhost:9001 ./captures
+//
+// see src/capture.js for the chunk format
+
+const fs = require('fs')
+const path = require('path')
+const mqtt = require('mqtt')
+
+const HEADER = 8
+
+// drop a partial capture if we've not heard more of it for this long (ms)
+const TIMEOUT = 60 * 1000
+
+const url = process.argv[2] || 'wss://iot.benjaminbenben.eu'
+const dir = process.argv[3] || '.'
+
+// partial captures, by phone and capture id
+const pending = {}
+
+fs.mkdirSync(dir, {recursive: true})
+
+const client = mqtt.connect(url)
+
+client.on('connect', () => {
+  console.log(`connected to ${url}`)
+  client.subscribe('/phone/+/capture', {qos: 1})
+})
+
+client.on('error', err => {
+  console.error(err.message)
+  process.exitCode = 1
+})
+
+client.on('message', (topic, message) => {
+  if(message.length < HEADER) return
+
+  const phone = topic.split('/')[2]
+  const id = message.readUInt32BE(0)
+  const index = message.readUInt16BE(4)
+  const total = message.readUInt16BE(6)
+  const key = `${phone}-${id}`
+
+  if(!total || index >= total) return
+
+  let capture = pending[key]
+
+  // a different total means this isn't the capture we were building
+  if(capture && capture.chunks.length != total) {
+    clearTimeout(capture.timer)
+    capture = null
+  }
+
+  if(!capture) {
+    capture = pending[key] = {
+      chunks: new Array(total),
+      count: 0
+    }
+  }
+
+  clearTimeout(capture.timer)
+  capture.timer = setTimeout(() => {
+    console.log(`${key} timed out with ${capture.count}/${total}`)
+    if(pending[key] == capture) delete pending[key]
+  }, TIMEOUT)
+
+  if(!capture.chunks[index]) {
+    capture.chunks[index] = message.slice(HEADER)
+    capture.count++
+  }
+
+  console.log(`${key} ${capture.count}/${total}`)
+
+  if(capture.count == total) {
+    clearTimeout(capture.timer)
+    delete pending[key]
+
+    const file = path.join(dir, `${key}.jpg`)
+    fs.writeFile(file, Buffer.concat(capture.chunks), err => {
+      if(err) console.error(err.message)
+      else console.log(`wrote ${file}`)
+    })
+  }
+})
@@ -0,0 +1,127 @@
+// choosing which broker to connect to
+
+/*
+Rules:
+  ?a - wss://iot.benjaminbenben.eu
+  ?b - wss://test.mosquitto.org:8081
+  ?192.168.0.42 - wss://192.168.0.42
+  ?192.168.0.42:8081 - wss://192.168.0.42:8081
+  ?url=ws://localhost:9001 - as given
+  ?profile=lab - a saved profile
+*/
+export const shorthands = {
+  a: 'wss://iot.benjaminbenben.eu',
+  b: 'wss://test.mosquitto.org:8081'
+}
+
+export const fallback = shorthands.a
+
+// expand a shorthand / host / full url into a websocket url
+export const parse = str => {
+  str = (str || '').trim()
+
+  if(!str) return null
+  if(Object.prototype.hasOwnProperty.call(shorthands, str)) return shorthands[str]
+  if(/^wss?:\/\//.test(str)) return str
+  if(/^[\w.-]+(:\d+)?(\/.*)?$/.test(str)) return `wss://${str}`
+
+  return null
+}
+
+
+// a malformed escape (eg. a trailing %) shouldn't stop us starting
+export const decode = str => {
+  try {
+    return decodeURIComponent(str)
+  } catch (e) {
+    return str
+  }
+}
+
+
+// read the broker from a location.search string
+export const fromSearch = search => {
+  const params = {}
+  const parts = (search || '').replace(/^\?/, '').split('&')
+
+  parts
+    .filter(Boolean)
+    .forEach(part => {
+      const i = part.indexOf('=')
+      if(i == -1) params[''] = params[''] || decode(part)
+      else params[part.slice(0, i)] = decode(part.slice(i + 1))
+    })
+
+  if(params.profile) {
+    const profile = find(params.profile)
+    if(profile) return profile
+  }
+
+  const url = parse(params.url) || parse(params[''])
+
+  return url ? {url} : null
+}
+
+
+// swap the broker in a location.search string, keeping other parameters
+// (like ?layout=).  Bare parts are broker shorthands, so they go too.
+export const withBroker = (search, param) => {
+  const others = (search || '')
+    .replace(/^\?/, '')
+    .split('&')
+    .filter(part => part.indexOf('=') > 0 && !/^(url|profile)=/.test(part))
+
+  return '?' + [param].concat(others).join('&')
+}
+
+
+// saved profiles - {name, url, username, password, keepalive}
+const KEY = 'ador.profiles'
+
+export const load = () => {
+  try {
+    return JSON.parse(localStorage.getItem(KEY)) || []
+  } catch (e) {
+    return []
+  }
+}
+
+const store = profiles => {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(profiles))
+  } catch (e) {
+    // private mode, or storage full
+  }
+  return profiles
+}
+
+export const find = name =>
+  load().filter(profile => profile.name == name)[0]
+
+export const save = profile =>
+  store(
+    load()
+      .filter(p => p.name != profile.name)
+      .concat({
+        name: profile.name,
+        url: parse(profile.url) || profile.url,
+        username: profile.username || '',
+        password: profile.password || '',
+        keepalive: parseInt(profile.keepalive, 10) || 60
+      })
+  )
+
+export const remove = name =>
+  store(load().filter(profile => profile.name != name))
+
+
+// connection options for mqtt.connect
+export const options = profile => {
+  const opts = {}
+
+  if(profile.username) opts.username = profile.username
+  if(profile.password) opts.password = profile.password
+  if(profile.keepalive) opts.keepalive = parseInt(profile.keepalive, 10)
+
+  return opts
+}
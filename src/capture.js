@@ -0,0 +1,91 @@
+// camera captures - resized, jpeg encoded and sent in chunks
+
+/*
+Each message is an 8 byte header followed by part of the jpeg:
+
+  0 uint32  id     - the same for every chunk of one capture
+  4 uint16  index  - which chunk this is, from 0
+  6 uint16  total  - how many chunks make up the capture
+
+(big endian; see scripts/receive-capture.js for putting them back together)
+*/
+export const HEADER = 8
+export const CHUNK = 16 * 1024
+
+export const header = (id, index, total) => {
+  const bytes = new Uint8Array(HEADER)
+  const view = new DataView(bytes.buffer)
+  view.setUint32(0, id)
+  view.setUint16(4, index)
+  view.setUint16(6, total)
+  return bytes
+}
+
+export const chunks = (bytes, id, size = CHUNK) => {
+  const total = Math.ceil(bytes.length / size) || 1
+  const list = []
+
+  for(let index = 0; index < total; index++) {
+    const body = bytes.subarray(index * size, (index + 1) * size)
+    const chunk = new Uint8Array(HEADER + body.length)
+    chunk.set(header(id, index, total))
+    chunk.set(body, HEADER)
+    list.push(chunk)
+  }
+
+  return list
+}
+
+
+// draw the image into a canvas no bigger than max, and encode it as jpeg
+export const resize = (file, max = 1024, quality = 0.8) =>
+  new Promise((resolve, reject) => {
+    const img = new Image()
+    const src = URL.createObjectURL(file)
+
+    img.onload = () => {
+      URL.revokeObjectURL(src)
+
+      const scale = Math.min(1, max / Math.max(img.width, img.height))
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.round(img.width * scale)
+      canvas.height = Math.round(img.height * scale)
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height)
+
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(), 'image/jpeg', quality)
+    }
+    img.onerror = () => {
+      URL.revokeObjectURL(src)
+      reject()
+    }
+
+    img.src = src
+  })
+
+const read = blob =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(new Uint8Array(reader.result))
+    reader.onerror = reject
+    reader.readAsArrayBuffer(blob)
+  })
+
+
+// send a captured file, calling progress(sent, total) as chunks are acknowledged
+export const upload = (file, publish, progress) =>
+  resize(file)
+    .then(read)
+    .then(bytes => new Promise(resolve => {
+      const id = Math.floor(Math.random() * 0xffffffff)
+      const list = chunks(bytes, id)
+      let sent = 0
+
+      progress(sent, list.length)
+
+      list.forEach(chunk =>
+        publish(chunk, () => {
+          progress(++sent, list.length)
+          if(sent == list.length) resolve(id)
+        })
+      )
+    }))
@@ -0,0 +1,207 @@
+// the shared mqtt client - swapped out whenever we connect to a new broker
+
+import mqtt from '../node_modules/mqtt/dist/mqtt.min.js'
+import {options} from './broker.js'
+import * as queue from './queue.js'
+import {matches} from './topics.js'
+
+let client = null
+const handlers = []
+
+// call fn with the current client, and any that replace it
+export const onClient = fn => {
+  handlers.push(fn)
+  if(client) fn(client)
+}
+
+export const current = () => client
+
+
+/* connection state:
+  connecting - waiting for a broker to accept us
+  connected
+  reconnecting - lost the broker, mqtt is retrying
+  offline - no connection, and not retrying yet
+  error
+*/
+let state = null
+const listeners = []
+
+export const onState = fn => {
+  listeners.push(fn)
+  if(state) fn(state)
+}
+
+const setState = next => {
+  if(next == state) return
+  state = next
+  listeners.forEach(fn => fn(state))
+}
+
+window.addEventListener('offline', () => setState('offline'), false)
+
+
+// publish now if we can, otherwise queue it up for when we reconnect
+let flushing = false
+const callbacks = {}
+
+export const publish = (topic, message, opts, cb) => {
+  if(client && client.connected && !flushing) {
+    return client.publish(topic, message, opts, cb)
+  }
+
+  queue.push({topic, message, opts})
+    .then(key => {
+      if(cb) callbacks[key] = cb
+    }, () => {
+      // couldn't queue it (storage full?), mqtt will hold it until reconnect
+      if(client) client.publish(topic, message, opts, cb)
+    })
+}
+
+const flush = () => {
+  if(flushing || !client || !client.connected) return
+  flushing = true
+
+  queue.take()
+    .then(entries => {
+      entries.forEach(({key, topic, message, opts}) => {
+        client.publish(topic, message, opts, callbacks[key])
+        delete callbacks[key]
+      })
+
+      flushing = false
+
+      // anything published while we were flushing
+      return queue.count()
+    })
+    .then(count => {
+      if(count) flush()
+    }, () => {
+      flushing = false
+    })
+}
+
+
+// subscribe on this client and any that replace it, fn(topic, message, packet)
+// for anything matching.  Returns a function to unsubscribe - the broker is
+// only told once nobody else wants that filter.
+const subscriptions = []
+
+// the highest qos anyone has asked for on a filter
+const qosFor = filter =>
+  subscriptions
+    .filter(s => s.filter == filter)
+    .reduce((qos, s) => Math.max(qos, s.qos), 0)
+
+export const subscribe = (filter, fn, opts) => {
+  const subscription = {filter, fn, qos: (opts && opts.qos) || 0}
+  const known = subscriptions.some(s => s.filter == filter)
+  const before = qosFor(filter)
+  subscriptions.push(subscription)
+
+  // subscribing again makes the broker replay anything retained to everyone
+  if(client && (!known || subscription.qos > before)) {
+    client.subscribe(filter, {qos: qosFor(filter)})
+  }
+
+  return () => {
+    const i = subscriptions.indexOf(subscription)
+    if(i == -1) return
+    subscriptions.splice(i, 1)
+
+    const used = subscriptions.some(s => s.filter == filter)
+    if(client && !used) client.unsubscribe(filter)
+  }
+}
+
+
+// follow the lifecycle of whichever client is current
+const track = c => {
+  const update = next => () => {
+    if(c == client) setState(next)
+  }
+
+  c.on('connect', update('connected'))
+  c.on('reconnect', update('reconnecting'))
+  c.on('offline', update('offline'))
+  c.on('error', update('error'))
+
+  c.on('connect', flush)
+
+  c.on('message', (topic, message, packet) => {
+    if(c != client) return
+    subscriptions
+      .filter(({filter}) => matches(filter, topic))
+      .forEach(({fn}) => {
+        // one broken handler shouldn't stop the others hearing about it
+        try {
+          fn(topic, message, packet)
+        } catch (e) {
+          console.error(e)
+        }
+      })
+  })
+}
+
+
+// a clean disconnect doesn't trigger our will, so send it ourselves first
+const goodbye = (c, cb) => {
+  const will = c.options.will
+  if(will && c.connected) {
+    c.publish(will.topic, will.payload, {qos: will.qos, retain: will.retain})
+  }
+  c.end(false, cb)
+}
+
+// disconnect the current client, cb once it's done
+export const leave = cb => {
+  if(client) goodbye(client, cb)
+  else if(cb) cb()
+}
+
+
+// connect to a broker profile, resolves once the broker accepts us
+export const connect = (profile, extra) => {
+
+  const next = mqtt.connect(profile.url, Object.assign(options(profile), extra))
+
+  setState('connecting')
+
+  return new Promise((resolve, reject) => {
+    let handled
+
+    const failed = () => {
+      handled = true
+      next.end()
+      setState(client && client.connected ? 'connected' : 'error')
+      reject()
+    }
+
+    next.on('connect', () => {
+      if(!handled) {
+        handled = true
+
+        if(client && client != next) goodbye(client)
+        client = next
+        track(client)
+        subscriptions
+          .map(({filter}) => filter)
+          .filter((filter, i, filters) => filters.indexOf(filter) == i)
+          .forEach(filter => client.subscribe(filter, {qos: qosFor(filter)}))
+        setState('connected')
+        handlers.forEach(fn => fn(client))
+        flush()
+
+        resolve(client)
+      }
+    })
+    next.on('error', () => {
+      if(!handled) failed()
+    })
+
+    setTimeout(() => {
+      if(!handled) failed()
+    }, 10000)
+  })
+}
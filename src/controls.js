@@ -0,0 +1,303 @@
+// control types for the layout - each one fills in its row, and returns
+// a function to tidy up when the layout is replaced
+
+import {sensors, stream} from './sensors.js'
+import {upload} from './capture.js'
+import {pad} from './touch.js'
+import * as position from './position.js'
+import {allowNotifications} from './input.js'
+
+// fill in {{name}} placeholders
+export const fill = (template, values) =>
+  String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    name in values ? values[name] : match
+  )
+
+const element = (name, attributes) => {
+  const el = document.createElement(name)
+  Object.keys(attributes || {}).forEach(key => el.setAttribute(key, attributes[key]))
+  return el
+}
+
+const nothing = () => {}
+
+
+// publish a control's payload, with count/time/value filled in
+const sender = (control, context, defaults) => {
+  let count = 0
+
+  return (value, extra) => {
+    const values = Object.assign({
+      clientId: context.clientId,
+      count: ++count,
+      time: Date.now(),
+      value
+    }, extra)
+
+    context.publish(
+      fill(control.topic || defaults.topic, values),
+      fill(control.payload || defaults.payload, values),
+      {qos: control.qos || 0, retain: !!control.retain}
+    )
+  }
+}
+
+
+export const controls = {
+
+  // {"type": "button", "topic": "...", "payload": "t-{{count}}"}
+  button: (li, control, context) => {
+    const send = sender(control, context, {
+      topic: '/phone/{{clientId}}/button',
+      payload: '{{count}}'
+    })
+
+    // a tap fires touchstart and then click, only send the first
+    let touched = 0
+    const press = e => {
+      e.preventDefault()
+      if(e.type == 'touchstart') touched = Date.now()
+      else if(Date.now() - touched < 1000) return
+      send(true)
+    }
+
+    li.addEventListener('click', press, false)
+    li.addEventListener('touchstart', press, false)
+
+    return nothing
+  },
+
+  // {"type": "toggle", "payload": "{{value}}"} - value is true or false
+  toggle: (li, control, context) => {
+    const send = sender(control, context, {
+      topic: '/phone/{{clientId}}/toggle',
+      payload: '{{value}}'
+    })
+    let on = !!control.value
+
+    li.classList.toggle('on', on)
+    li.addEventListener('click', e => {
+      e.preventDefault()
+      on = !on
+      li.classList.toggle('on', on)
+      send(on)
+    }, false)
+
+    return nothing
+  },
+
+  // {"type": "slider", "min": 0, "max": 100, "step": 1}
+  slider: (li, control, context) => {
+    const send = sender(control, context, {
+      topic: '/phone/{{clientId}}/slider',
+      payload: '{{value}}'
+    })
+    const input = element('input', {
+      type: 'range',
+      min: control.min || 0,
+      max: control.max === undefined ? 100 : control.max,
+      step: control.step || 1,
+      value: control.value || 0
+    })
+
+    input.addEventListener('input', () => send(input.value), false)
+    li.appendChild(input)
+
+    return nothing
+  },
+
+  // {"type": "text", "placeholder": "say something"}
+  text: (li, control, context) => {
+    const send = sender(control, context, {
+      topic: '/phone/{{clientId}}/text',
+      payload: '{{value}}'
+    })
+    const form = element('form')
+    const input = element('input', {
+      type: 'text',
+      placeholder: control.placeholder || ''
+    })
+
+    form.addEventListener('submit', e => {
+      e.preventDefault()
+      send(input.value)
+      input.value = ''
+    }, false)
+
+    form.appendChild(input)
+    li.appendChild(form)
+
+    return nothing
+  },
+
+  // {"type": "sensor", "sensors": ["orientation", "motion"], "rate": 100, "threshold": 1}
+  // streams while the row has focus, payload values are the sensor's json
+  sensor: (li, control, context) => {
+    const names = [].concat(control.sensors || control.sensor || [])
+      .filter(name => sensors[name] && sensors[name].supported())
+
+    if(!names.length) {
+      li.classList.add('inactive')
+      return nothing
+    }
+
+    const send = sender(control, context, {
+      topic: '/phone/{{clientId}}/{{sensor}}',
+      payload: '{{value}}'
+    })
+    const config = {rate: control.rate, threshold: control.threshold}
+    let stops = []
+
+    const start = () => {
+      stops = names.map(name =>
+        stream(
+          name, config,
+          values => send(JSON.stringify(values), {sensor: name}),
+          () => li.classList.add('inactive')
+        )
+      )
+    }
+    const stop = () => {
+      stops.forEach(stop => stop())
+      stops = []
+    }
+
+    li.addEventListener('focus', start, false)
+    li.addEventListener('blur', stop, false)
+
+    return stop
+  },
+
+  // {"type": "touchpad", "format": "json", "gestures": "/phone/{{clientId}}/gesture"}
+  // publishes touch points to topic, and tap/long-press/swipe/pinch to gestures
+  touchpad: (li, control, context) => {
+    const topic = fill(control.topic || '/phone/{{clientId}}/touch', context)
+    const gestures = fill(control.gestures || '/phone/{{clientId}}/gesture', context)
+    const opts = {qos: control.qos || 0}
+    const area = element('div', {class: 'pad'})
+
+    li.appendChild(area)
+
+    return pad(
+      area,
+      payload => context.publish(topic, payload, opts),
+      gesture => context.publish(gestures, JSON.stringify(gesture), opts),
+      control.format
+    )
+  },
+
+  // {"type": "position", "interval": 5000, "maxAge": 300000}
+  // streams our position while focused, and lists everyone else's.  Anything
+  // on our own topic counts as where we are - so a fake can be published there
+  position: (li, control, context) => {
+    const topic = fill(control.topic || '/phone/{{clientId}}/position', context)
+    const filter = control.filter || '/phone/+/position'
+    const maxAge = control.maxAge || 5 * 60 * 1000
+    const canvas = element('canvas', {class: 'radar'})
+    const others = {}
+    let me = null, lost = false, stop = nothing, timer
+
+    if(!position.supported()) li.classList.add('inactive')
+
+    const update = () => {
+      const now = Date.now()
+      Object.keys(others)
+        .filter(name => now - (others[name].at || now) > maxAge)
+        .forEach(name => delete others[name])
+
+      if(!li.classList.contains('active')) return
+
+      if(me) position.draw(canvas, position.nearby(me, others))
+      else position.draw(canvas, [], lost ? 'no position' : 'finding you…')
+    }
+
+    const unsubscribe = context.subscribe(filter, (t, message) => {
+      const fix = position.parse(message.toString())
+      const name = t.split('/')[2]
+
+      if(t == topic) me = fix
+      else if(fix) others[name] = fix
+      else delete others[name]
+
+      update()
+    })
+
+    li.addEventListener('focus', () => {
+      update()
+
+      // people drop off once they go quiet, even if nothing else arrives
+      clearInterval(timer)
+      timer = setInterval(update, 5000)
+
+      if(!position.supported()) return
+      stop = position.watch(fix => {
+        lost = false
+        li.classList.remove('inactive')
+        context.publish(topic, JSON.stringify(fix), {
+          qos: control.qos || 0,
+          retain: !!control.retain
+        })
+      }, control.interval, () => {
+        lost = true
+        li.classList.add('inactive')
+        update()
+      })
+    }, false)
+
+    const blur = () => {
+      clearInterval(timer)
+      stop()
+      stop = nothing
+    }
+
+    li.addEventListener('blur', blur, false)
+
+    li.appendChild(canvas)
+
+    return () => {
+      blur()
+      unsubscribe()
+    }
+  },
+
+  // {"type": "camera", "topic": "/phone/{{clientId}}/capture"}
+  camera: (li, control, context) => {
+    const topic = fill(control.topic || '/phone/{{clientId}}/capture', context)
+    const input = element('input', {
+      type: 'file',
+      accept: 'image/*',
+      capture: 'camera'
+    })
+
+    input.addEventListener('change', () => {
+      const file = input.files[0]
+      if(!file) return
+
+      upload(
+        file,
+        (chunk, cb) => context.publish(topic, chunk, {qos: control.qos || 1}, cb),
+        context.progress
+      ).then(() => input.value = '', () => context.progress(0, 0))
+    }, false)
+
+    li.appendChild(input)
+
+    return nothing
+  },
+
+  // {"type": "input"} - where messages to /phone/<clientId>/input/# are shown
+  input: li => {
+    li.id = 'input'
+    li.appendChild(element('section'))
+    li.addEventListener('click', allowNotifications, false)
+    return nothing
+  },
+
+  // {"type": "spacer"}
+  spacer: li => {
+    li.className = 'spacer'
+    li.removeAttribute('tabindex')
+    return nothing
+  }
+
+}
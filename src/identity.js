@@ -0,0 +1,114 @@
+// who this device is - kept across reloads so dashboards see the same phone
+
+const KEY = 'ador.clientId'
+
+const generate = () => `c_${Math.random().toString(16).substr(2, 6)}`
+
+// client ids end up in topics, so keep them to something safe
+export const clean = name =>
+  (name || '').trim().replace(/[^\w-]+/g, '-').substr(0, 23)
+
+// each tab keeps its own id in sessionStorage (two tabs with one id would
+// keep kicking each other off the broker).  localStorage remembers the last
+// one, so a new tab carries on as the same phone if nobody else is using it
+const get = storage => {
+  try {
+    return window[storage].getItem(KEY)
+  } catch (e) {
+    return null
+  }
+}
+
+const set = (storage, value) => {
+  try {
+    window[storage].setItem(KEY, value)
+  } catch (e) {
+    // private mode, or storage full
+  }
+}
+
+
+// ids open in a tab right now, with when that tab last checked in
+const OPEN = 'ador.clientIds'
+const FRESH = 15000
+
+const open = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OPEN)) || {}
+  } catch (e) {
+    return {}
+  }
+}
+
+const taken = id => Date.now() - (open()[id] || 0) < FRESH
+
+let mine = null
+
+const claim = id => {
+  const ids = open()
+  const now = Date.now()
+  Object.keys(ids)
+    .filter(other => other == mine || now - ids[other] > FRESH)
+    .forEach(other => delete ids[other])
+  if(id) ids[id] = now
+
+  try {
+    localStorage.setItem(OPEN, JSON.stringify(ids))
+  } catch (e) {
+    // nowhere to share it, duplicate tabs will have to fight it out
+  }
+}
+
+setInterval(() => mine && claim(mine), FRESH / 3)
+
+// let go when the tab closes or reloads, so a reload keeps its id
+window.addEventListener('pagehide', () => claim(null), false)
+window.addEventListener('pageshow', e => e.persisted && mine && claim(mine), false)
+
+const keep = id => {
+  set('sessionStorage', id)
+  set('localStorage', id)
+  claim(id)
+  mine = id
+}
+
+export const load = () => {
+  // a duplicated tab copies sessionStorage, so check nobody has it
+  let id = clean(get('sessionStorage'))
+
+  if(!id || taken(id)) {
+    const last = clean(get('localStorage'))
+    id = last && !taken(last) ? last : generate()
+  }
+
+  keep(id)
+  return id
+}
+
+export const rename = name => {
+  // someone else's id would get one of us kicked off
+  const id = clean(name)
+  if(!id || taken(id)) return null
+  keep(id)
+  return id
+}
+
+
+// retained status, with a last will so the broker marks us offline
+export const status = clientId => `/phone/${clientId}/status`
+
+export const will = clientId => ({
+  topic: status(clientId),
+  payload: 'offline',
+  qos: 1,
+  retain: true
+})
+
+export const meta = (clientId, sensors) => JSON.stringify({
+  clientId,
+  userAgent: navigator.userAgent,
+  sensors: Object.keys(sensors).filter(name => sensors[name].supported()),
+  vibrate: 'vibrate' in navigator,
+  notifications: 'Notification' in window,
+  camera: 'capture' in document.createElement('input')
+})
@@ -0,0 +1,101 @@
+// messages pushed to /phone/<clientId>/input/#
+
+// images are sent as raw bytes, we spot them by their first few
+const signatures = {
+  'image/png': [0x89, 0x50, 0x4e, 0x47],
+  'image/jpeg': [0xff, 0xd8, 0xff],
+  'image/gif': [0x47, 0x49, 0x46],
+  'image/webp': [0x52, 0x49, 0x46, 0x46]
+}
+
+export const imageType = bytes =>
+  Object.keys(signatures).filter(type =>
+    signatures[type].every((byte, i) => bytes[i] === byte)
+  )[0]
+
+
+const parse = text => {
+  try {
+    const json = JSON.parse(text)
+    return json && typeof json == 'object' ? json : null
+  } catch (e) {
+    return null
+  }
+}
+
+
+// browsers only ask for permission from a user gesture, so this is called
+// when the input row is tapped rather than when a notification arrives
+export const allowNotifications = () => {
+  if('Notification' in window && Notification.permission == 'default') {
+    Notification.requestPermission()
+  }
+}
+
+const notify = options => {
+  if(!('Notification' in window) || Notification.permission != 'granted') return
+
+  const {title = 'ador', body} = options && typeof options == 'object' ?
+    options : {body: String(options)}
+
+  // chrome on android only lets a service worker show notifications
+  try {
+    new Notification(title, {body})
+  } catch (e) {
+    if(!('serviceWorker' in navigator)) return
+    navigator.serviceWorker.getRegistration()
+      .then(registration => registration && registration.showNotification(title, {body}))
+      .catch(() => {})
+  }
+}
+
+
+// actions that a json message can trigger
+const actions = {
+  color: value => document.body.style.background = value,
+  vibrate: value => navigator.vibrate && navigator.vibrate(value),
+  notify: notify
+}
+
+
+// render an incoming message into $el, returns the kind of message it was.
+// Actions still run without an $el (when the layout has no input row)
+export const handle = (message, $el) => {
+  const type = imageType(message)
+
+  if(type) {
+    const img = document.createElement('img')
+    img.src = URL.createObjectURL(new Blob([message], {type}))
+    img.onload = () => URL.revokeObjectURL(img.src)
+    show($el, img)
+    return 'image'
+  }
+
+  const text = message.toString()
+
+  if(/^data:image\//.test(text)) {
+    const img = document.createElement('img')
+    img.src = text
+    show($el, img)
+    return 'image'
+  }
+
+  const json = parse(text)
+  const keys = json ? Object.keys(actions).filter(key => key in json) : []
+
+  if(keys.length) {
+    keys.forEach(key => actions[key](json[key]))
+    if(json.text) show($el, document.createTextNode(json.text))
+    return 'action'
+  }
+
+  show($el, document.createTextNode(text))
+  return 'text'
+}
+
+
+const show = ($el, node) => {
+  if(!$el) return
+  while($el.firstChild) $el.removeChild($el.firstChild)
+  $el.appendChild(node)
+}
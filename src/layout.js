@@ -0,0 +1,101 @@
+// the list of controls, built from a json layout
+
+/*
+A layout is a list of controls (or {"controls": [...]}), eg.
+
+  [
+    {"type": "button", "label": "→ /$/tap", "topic": "/phone/{{clientId}}/taps", "payload": "t-{{count}}"},
+    {"type": "spacer"},
+    {"type": "slider", "label": "volume", "max": 11, "qos": 1, "retain": true}
+  ]
+
+It's loaded from ?layout=<url>, and replaced by anything retained on
+/phone/<clientId>/layout.  See controls.js for the types and their options.
+*/
+
+import {controls} from './controls.js'
+import {decode} from './broker.js'
+
+export const fallback = [
+  {type: 'sensor', label: '→ /$/battery', sensors: ['battery'], rate: 1000},
+  {type: 'touchpad', id: 'touch', label: '→ /$/touch'},
+  {type: 'sensor', label: '→ /$/orientation', sensors: ['orientation', 'motion'], rate: 100, threshold: 1},
+  {type: 'sensor', label: '→ /$/lux', sensors: ['lux'], rate: 500, threshold: 5},
+
+  {type: 'spacer'},
+  {type: 'input', label: '← /~/input'},
+
+  {type: 'spacer'},
+  {type: 'position', label: '« positioning »'},
+
+  {type: 'spacer'},
+  {type: 'camera'}
+]
+
+
+// a layout from some json, or null if it doesn't look like one
+export const parse = text => {
+  let json
+  try {
+    json = JSON.parse(text)
+  } catch (e) {
+    return null
+  }
+
+  const list = Array.isArray(json) ? json : json && json.controls
+  if(!Array.isArray(list)) return null
+
+  return list.filter(control => control && typeof control.type == 'string')
+}
+
+
+// fetch the layout named in ?layout=, or use the default
+export const load = search => {
+  const match = (search || '').match(/[?&]layout=([^&#]*)/)
+  if(!match) return Promise.resolve(fallback)
+
+  return fetch(decode(match[1]))
+    .then(res => res.text())
+    .then(text => parse(text) || fallback, () => fallback)
+}
+
+
+// a row with just the control's label
+const row = control => {
+  const li = document.createElement('li')
+  li.setAttribute('tabindex', '1')
+  li.textContent = control.label || ''
+  if(typeof control.id == 'string') li.id = control.id
+
+  li.addEventListener('focus', () => li.classList.add('active'), false)
+  li.addEventListener('blur', () => li.classList.remove('active'), false)
+
+  return li
+}
+
+const nothing = () => {}
+
+
+// render controls into $list, returns a function to tear them down
+export const render = ($list, layout, context) => {
+  while($list.firstChild) $list.removeChild($list.firstChild)
+
+  const teardowns = layout.map(control => {
+    let li = row(control)
+    let teardown = nothing
+
+    // unknown types are just labels, and so are ones with options we can't use
+    if(Object.prototype.hasOwnProperty.call(controls, control.type)) {
+      try {
+        teardown = controls[control.type](li, control, context)
+      } catch (e) {
+        li = row(control)
+      }
+    }
+
+    $list.appendChild(li)
+    return typeof teardown == 'function' ? teardown : nothing
+  })
+
+  return () => teardowns.forEach(teardown => teardown())
+}
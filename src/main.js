@@ -1,47 +1,125 @@
-import mqtt from '../node_modules/mqtt/dist/mqtt.min.js'
+import Connection from './Connection.html'
+import Explorer from './Explorer.html'
+import {onClient, onState, publish, subscribe, current, leave} from './client.js'
+import * as queue from './queue.js'
+import {sensors} from './sensors.js'
+import {handle} from './input.js'
+import {fallback, load, parse, render} from './layout.js'
+import * as identity from './identity.js'
 
 const qs = document.querySelector.bind(document)
 
-// todo: use session store
-const clientId = `c_${Math.random().toString(16).substr(2, 6)}`
+const clientId = identity.load()
 
+// read before connecting, which rewrites the url
+const layout = load(location.search)
 
-/* todo - choose host from url.
 
-Rules:
-  ?a - wss://iot.benjaminbenben.eu
-  ?b - wss://test.mosquitto.org:8081
-  ?192.168.0.42 - wss://192.168.0.1
-  ?192.168.0.42:8081 - wss://192.168.0.1:8081
-*/
-var client  = mqtt.connect('wss://iot.benjaminbenben.eu', {clientId})
+// pick a broker (see broker.js for the url rules)
+const connection = new Connection({
+  target: qs('#connection'),
+  data: {
+    autoconnect: true,
+    options: {clientId, will: identity.will(clientId)}
+  }
+})
+
+
+// debug panel for watching traffic
+const explorer = new Explorer({
+  target: qs('#explorer')
+})
+
+
+// announce ourselves (the broker sends our will if we vanish)
+onClient(client => {
+  const announce = () => {
+    client.publish(identity.status(clientId), 'online', {qos: 1, retain: true})
+    client.publish(`/phone/${clientId}/meta`, identity.meta(clientId, sensors), {qos: 1, retain: true})
+  }
+  announce()
+  client.on('connect', announce)
+})
+
+
+// tap the title to rename this device
+const $name = qs('#name')
+$name.innerText = clientId
+$name.addEventListener('click', () => {
+  const name = prompt('Rename this device', clientId)
+  if(!name || identity.clean(name) == clientId) return
+
+  if(!identity.rename(name)) return
+
+  // clear what we'd retained under the old name, and go offline there
+  const client = current()
+  if(client && client.connected) {
+    client.publish(`/phone/${clientId}/meta`, '', {qos: 1, retain: true})
+  }
+  const reload = () => location.reload()
+  leave(reload)
+  setTimeout(reload, 2000)
+}, false)
+
 
 // keep track of packets sent and received
-let up = 0, dn = 0
+let up = 0, dn = 0, progress = ''
 const $up = qs('#up'), $dn = qs('#dn')
-client.on('packetsend', () => $up.innerText = '↑'+(++up))
-client.on('packetreceive', () => $dn.innerText = '↓'+(++dn))
+const renderUp = () => $up.innerText = '↑'+up+progress
+onState(state => $up.className = $dn.className = state)
+onClient(client => {
+  client.on('packetsend', () => {
+    up++
+    renderUp()
+  })
+  client.on('packetreceive', () => $dn.innerText = '↓'+(++dn))
+})
+
 
+// messages waiting for us to reconnect
+const $queued = qs('#queued')
+queue.onChange(count => $queued.innerText = count ? `⧖${count}` : '')
 
-const sections = [].slice.call(document.querySelectorAll('li[tabindex]'), 0)
 
-sections.forEach(function(section){
-  section.addEventListener('focus', () => {
-    section.className = 'active'
-  }, false)
+// the controls, from ?layout= or a layout retained for this device
+const $controls = qs('#controls')
+const context = {
+  clientId,
+  publish,
+  subscribe,
+  progress: (sent, total) => {
+    progress = sent < total ? ` (${sent}/${total})` : ''
+    renderUp()
+  }
+}
 
-  section.addEventListener('blur', () => {
-    section.className = ''
-  }, false)
+// a retained layout wins over ?layout=, and the broker sends it again on
+// every reconnect - only rebuild (and stop any streams) when it changes
+let initial = fallback, retained = false, last = '', teardown = () => {}
+const show = controls => {
+  teardown()
+  teardown = render($controls, controls, context)
+}
+
+layout.then(controls => {
+  initial = controls
+  if(!retained) show(controls)
 })
 
+subscribe(`/phone/${clientId}/layout`, (topic, message) => {
+  const text = message.toString()
+  if(text == last) return
+  last = text
 
-let touches = 0
-qs('#touch').addEventListener('click', (e) => {
-  e.preventDefault()
-  client.publish(`/phone/${clientId}/touches`, 't-'+(++touches))
-}, false)
-qs('#touch').addEventListener('touchstart', (e) => {
-  e.preventDefault()
-  client.publish(`/phone/${clientId}/touches`, 't-'+(++touches))
-}, false)
+  // an empty (cleared) layout puts things back how they were
+  const controls = text && parse(text)
+  retained = !!controls
+  show(controls || initial)
+}, {qos: 1})
+
+// render anything sent to our input topic
+subscribe(`/phone/${clientId}/input/#`, (topic, message) => {
+  const $input = qs('#input')
+  handle(message, $input && $input.querySelector('section'))
+  if($input) $input.classList.add('received')
+})
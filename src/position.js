@@ -0,0 +1,144 @@
+// positioning - our geolocation, and how far away everyone else is
+
+/*
+Positions are published as json:
+
+  {"lat": 51.5, "lon": -0.12, "accuracy": 12, "heading": 90, "speed": 1.2, "at": 1500000000000}
+
+heading (degrees from north) and speed (m/s) are null when unknown.
+*/
+
+export const supported = () => 'geolocation' in navigator
+
+const round = (n, places) => {
+  if(typeof n != 'number' || isNaN(n)) return null
+  const m = Math.pow(10, places)
+  return Math.round(n * m) / m
+}
+
+export const fix = ({coords, timestamp}) => ({
+  lat: round(coords.latitude, 6),
+  lon: round(coords.longitude, 6),
+  accuracy: round(coords.accuracy, 1),
+  heading: round(coords.heading, 1),
+  speed: round(coords.speed, 2),
+  at: timestamp || Date.now()
+})
+
+export const parse = text => {
+  try {
+    const position = JSON.parse(text)
+    return typeof position.lat == 'number' && typeof position.lon == 'number' ?
+      position : null
+  } catch (e) {
+    return null
+  }
+}
+
+
+// watch our position, sending at most one fix every `interval` ms.  failed()
+// is called if we're refused, or can't get a fix.  Returns a stop function.
+export const watch = (send, interval = 5000, failed = () => {}) => {
+  let last = 0
+
+  const id = navigator.geolocation.watchPosition(position => {
+    const now = Date.now()
+    if(now - last < interval) return
+    last = now
+    send(fix(position))
+  }, () => failed(), {
+    enableHighAccuracy: true,
+    maximumAge: interval
+  })
+
+  return () => navigator.geolocation.clearWatch(id)
+}
+
+
+const RADIUS = 6371e3
+const rad = deg => deg * Math.PI / 180
+const deg = rad => rad * 180 / Math.PI
+
+// metres between two positions
+export const distance = (a, b) => {
+  const dLat = rad(b.lat - a.lat)
+  const dLon = rad(b.lon - a.lon)
+  const h = Math.pow(Math.sin(dLat / 2), 2) +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.pow(Math.sin(dLon / 2), 2)
+
+  return 2 * RADIUS * Math.asin(Math.sqrt(h))
+}
+
+// degrees from north, going from a to b
+export const bearing = (a, b) => {
+  const y = Math.sin(rad(b.lon - a.lon)) * Math.cos(rad(b.lat))
+  const x = Math.cos(rad(a.lat)) * Math.sin(rad(b.lat)) -
+    Math.sin(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.cos(rad(b.lon - a.lon))
+
+  return (deg(Math.atan2(y, x)) + 360) % 360
+}
+
+const compass = degrees =>
+  ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'][Math.round(degrees / 45) % 8]
+
+const metres = m => m < 1000 ? `${Math.round(m)}m` : `${(m / 1000).toFixed(1)}km`
+
+
+// everyone else, nearest first - [{name, distance, bearing}]
+export const nearby = (me, others) =>
+  Object.keys(others)
+    .map(name => ({
+      name,
+      distance: distance(me, others[name]),
+      bearing: bearing(me, others[name])
+    }))
+    .sort((a, b) => a.distance - b.distance)
+
+
+// draw the list of nearby devices, each with an arrow pointing their way
+export const draw = (canvas, list, empty = 'nobody nearby') => {
+  const ratio = window.devicePixelRatio || 1
+  const width = canvas.clientWidth
+  const row = 32
+  const height = Math.max(1, list.length) * row
+
+  canvas.width = width * ratio
+  canvas.height = height * ratio
+  canvas.style.height = `${height}px`
+
+  const ctx = canvas.getContext('2d')
+  ctx.scale(ratio, ratio)
+  ctx.clearRect(0, 0, width, height)
+  ctx.font = '16px AvenirNext-bold, Arial'
+  ctx.textBaseline = 'middle'
+  ctx.fillStyle = ctx.strokeStyle = '#333'
+  ctx.lineWidth = 2
+
+  if(!list.length) {
+    ctx.fillStyle = '#aaa'
+    ctx.fillText(empty, 0, row / 2)
+    return
+  }
+
+  list.forEach(({name, distance, bearing}, i) => {
+    const y = i * row + row / 2
+
+    // arrow, rotated to point at them
+    ctx.save()
+    ctx.translate(row / 2, y)
+    ctx.rotate(rad(bearing))
+    ctx.beginPath()
+    ctx.moveTo(0, row / 3)
+    ctx.lineTo(0, -row / 3)
+    ctx.moveTo(-row / 6, -row / 6)
+    ctx.lineTo(0, -row / 3)
+    ctx.lineTo(row / 6, -row / 6)
+    ctx.stroke()
+    ctx.restore()
+
+    ctx.fillText(
+      `${name}  ${metres(distance)}  ${Math.round(bearing)}° ${compass(bearing)}`,
+      row * 1.25, y
+    )
+  })
+}
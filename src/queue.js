@@ -0,0 +1,125 @@
+// messages published while we're offline, kept in indexedDB until we reconnect
+
+const DB = 'ador'
+const STORE = 'queue'
+
+// how many messages to keep (oldest are dropped), and for how long
+export const LIMIT = 500
+export const MAX_AGE = 24 * 60 * 60 * 1000
+
+const listeners = []
+
+// fn(count) whenever the number of queued messages changes
+export const onChange = fn => {
+  listeners.push(fn)
+  count().then(fn)
+}
+
+const changed = () =>
+  count().then(n => listeners.forEach(fn => fn(n)))
+
+
+let db
+const open = () => db = db || new Promise((resolve, reject) => {
+  const req = indexedDB.open(DB, 1)
+  req.onupgradeneeded = () =>
+    req.result.createObjectStore(STORE, {autoIncrement: true})
+  req.onsuccess = () => resolve(req.result)
+  req.onerror = () => reject(req.error)
+})
+
+// run fn against the store, resolving with whatever it returns once complete
+const transaction = (mode, fn) =>
+  open().then(database => new Promise((resolve, reject) => {
+    const tx = database.transaction(STORE, mode)
+    const result = fn(tx.objectStore(STORE))
+    tx.oncomplete = () => resolve(result)
+    tx.onerror = () => reject(tx.error)
+  }))
+
+
+// without indexedDB (private browsing, old browsers) we queue in memory
+let memory = [], next = 1
+
+const fallback = {
+  add: entry => {
+    memory.push(Object.assign({key: next}, entry))
+    memory = memory.slice(-LIMIT)
+    return Promise.resolve(next++)
+  },
+  count: () => Promise.resolve(memory.length),
+  take: () => {
+    const all = memory
+    memory = []
+    return Promise.resolve(all)
+  }
+}
+
+const indexed = {
+  add: entry => transaction('readwrite', store => {
+    const req = store.add(entry)
+    const total = store.count()
+
+    total.onsuccess = () => {
+      let extra = total.result - LIMIT
+      if(extra <= 0) return
+
+      store.openCursor().onsuccess = e => {
+        const cursor = e.target.result
+        if(cursor && extra-- > 0) {
+          cursor.delete()
+          cursor.continue()
+        }
+      }
+    }
+
+    return req
+  }).then(req => req.result),
+
+  count: () =>
+    transaction('readonly', store => store.count())
+      .then(req => req.result),
+
+  take: () => transaction('readwrite', store => {
+    const all = []
+
+    store.openCursor().onsuccess = e => {
+      const cursor = e.target.result
+      if(cursor) {
+        all.push(Object.assign({key: cursor.key}, cursor.value))
+        cursor.delete()
+        cursor.continue()
+      }
+    }
+
+    return all
+  })
+}
+
+// use indexedDB if it'll open, memory if not
+const backend = () =>
+  typeof indexedDB == 'undefined' ?
+    Promise.resolve(fallback) :
+    open().then(() => indexed, () => fallback)
+
+
+// queue a {topic, message, opts}, resolves with its key
+export const push = entry =>
+  backend()
+    .then(queue => queue.add(Object.assign({at: Date.now()}, entry)))
+    .then(key => {
+      changed()
+      return key
+    })
+
+export const count = () =>
+  backend().then(queue => queue.count())
+
+// remove and return everything queued (that isn't too old), oldest first
+export const take = () =>
+  backend()
+    .then(queue => queue.take())
+    .then(all => {
+      changed()
+      return all.filter(entry => Date.now() - entry.at < MAX_AGE)
+    })
@@ -0,0 +1,170 @@
+// device sensors - each one can tell if it's supported, and listen for readings
+
+const round = n => Math.round(n * 100) / 100
+
+export const sensors = {
+
+  battery: {
+    supported: () => 'getBattery' in navigator,
+    listen: (fn, failed) => {
+      let battery, stopped
+      const update = () => fn({
+        level: battery.level,
+        charging: battery.charging
+      })
+
+      navigator.getBattery().then(b => {
+        if(stopped) return
+        battery = b
+        battery.addEventListener('levelchange', update)
+        battery.addEventListener('chargingchange', update)
+        update()
+      }, () => {
+        // blocked by permissions policy
+        if(!stopped) failed()
+      })
+
+      return () => {
+        stopped = true
+        if(!battery) return
+        battery.removeEventListener('levelchange', update)
+        battery.removeEventListener('chargingchange', update)
+      }
+    }
+  },
+
+  orientation: {
+    supported: () => 'DeviceOrientationEvent' in window,
+    permission: () => permission(window.DeviceOrientationEvent),
+    listen: fn => {
+      const update = e => fn({
+        alpha: round(e.alpha),
+        beta: round(e.beta),
+        gamma: round(e.gamma)
+      })
+      window.addEventListener('deviceorientation', update, false)
+      return () => window.removeEventListener('deviceorientation', update, false)
+    }
+  },
+
+  motion: {
+    supported: () => 'DeviceMotionEvent' in window,
+    permission: () => permission(window.DeviceMotionEvent),
+    listen: fn => {
+      const update = e => {
+        const a = e.accelerationIncludingGravity
+        if(a) fn({x: round(a.x), y: round(a.y), z: round(a.z)})
+      }
+      window.addEventListener('devicemotion', update, false)
+      return () => window.removeEventListener('devicemotion', update, false)
+    }
+  },
+
+  lux: {
+    supported: () => 'AmbientLightSensor' in window || 'ondevicelight' in window,
+    listen: (fn, failed) => {
+      if('AmbientLightSensor' in window) {
+        // blocked by permissions policy, or no sensor after all
+        let sensor
+        try {
+          sensor = new window.AmbientLightSensor()
+        } catch (e) {
+          if(!('ondevicelight' in window)) throw e
+        }
+
+        if(sensor) {
+          const update = () => fn({lux: round(sensor.illuminance)})
+          const error = () => failed()
+          const stop = () => {
+            sensor.removeEventListener('reading', update)
+            sensor.removeEventListener('error', error)
+            sensor.stop()
+          }
+          sensor.addEventListener('reading', update)
+          sensor.addEventListener('error', error)
+          try {
+            sensor.start()
+          } catch (e) {
+            stop()
+            throw e
+          }
+          return stop
+        }
+      }
+
+      const update = e => fn({lux: round(e.value)})
+      window.addEventListener('devicelight', update, false)
+      return () => window.removeEventListener('devicelight', update, false)
+    }
+  }
+
+}
+
+
+// iOS asks for permission (from a user gesture) before sending motion events
+const permission = Event =>
+  Event && typeof Event.requestPermission == 'function' ?
+    Event.requestPermission().then(result => result == 'granted') :
+    Promise.resolve(true)
+
+
+// has any value moved by at least threshold since we last sent
+const changed = (prev, next, threshold) =>
+  !prev || Object.keys(next).some(key =>
+    typeof next[key] == 'number' ?
+      Math.abs(next[key] - prev[key]) >= threshold :
+      next[key] !== prev[key]
+  )
+
+
+// stream readings from a sensor, at most one every `rate` ms, and
+// only when they change by `threshold`.  failed() is called if the sensor
+// can't be used after all.  Returns a stop function.
+export const stream = (name, {rate = 200, threshold = 0}, send, failed = () => {}) => {
+  const sensor = sensors[name]
+  let last, pending, timer, stop, stopped
+
+  const flush = () => {
+    timer = null
+    if(pending && changed(last, pending, threshold)) {
+      last = pending
+      send(last)
+      timer = setTimeout(flush, rate)
+    }
+    pending = null
+  }
+
+  const reading = values => {
+    pending = values
+    if(!timer) flush()
+  }
+
+  const allowed = sensor.permission ? sensor.permission() : Promise.resolve(true)
+
+  const end = () => {
+    stopped = true
+    clearTimeout(timer)
+    if(stop) stop()
+    stop = null
+  }
+
+  const fail = () => {
+    end()
+    failed()
+  }
+
+  // denied (or asked without a user gesture) counts as failing too
+  allowed.then(granted => {
+    if(stopped) return
+    if(!granted) return fail()
+    try {
+      stop = sensor.listen(reading, fail)
+    } catch (e) {
+      fail()
+    }
+  }, () => {
+    if(!stopped) fail()
+  })
+
+  return end
+}
@@ -0,0 +1,22 @@
+// mqtt topic filters
+
+// does topic match a filter with + (one level) and # (the rest) wildcards
+export const matches = (filter, topic) => {
+  const f = filter.split('/')
+  const t = topic.split('/')
+
+  for(let i = 0; i < f.length; i++) {
+    if(f[i] == '#') return true
+    if(i >= t.length) return false
+    if(f[i] != '+' && f[i] != t[i]) return false
+  }
+
+  return f.length == t.length
+}
+
+// a filter is valid if # is only ever the last level, and wildcards fill a level
+export const valid = filter =>
+  !!filter && filter.split('/').every((level, i, levels) =>
+    level == '#' ? i == levels.length - 1 :
+    level == '+' || !/[+#]/.test(level)
+  )
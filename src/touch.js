@@ -0,0 +1,209 @@
+// touch pad - every active touch point, and the gestures they make
+
+/*
+Points are published as {"p": phase, "t": [[id, x, y], ...]} with x & y
+normalised to 0-1 across the pad, phase one of "down", "move" or "up".
+
+With format "binary" the same goes in 2 + 5 bytes per point:
+
+  0 uint8  phase (0 down, 1 move, 2 up)
+  1 uint8  number of points
+  then for each point
+    uint8   id
+    uint16  x (0-65535)
+    uint16  y (0-65535)
+*/
+const PHASES = ['down', 'move', 'up']
+
+const round = n => Math.round(n * 1000) / 1000
+const clamp = n => Math.max(0, Math.min(1, n))
+
+export const encode = (phase, points, format) => {
+  if(format != 'binary') {
+    return JSON.stringify({
+      p: phase,
+      t: points.map(({id, x, y}) => [id, round(x), round(y)])
+    })
+  }
+
+  const bytes = new Uint8Array(2 + points.length * 5)
+  const view = new DataView(bytes.buffer)
+  view.setUint8(0, PHASES.indexOf(phase))
+  view.setUint8(1, points.length)
+  points.forEach(({id, x, y}, i) => {
+    view.setUint8(2 + i * 5, id)
+    view.setUint16(3 + i * 5, Math.round(x * 0xffff))
+    view.setUint16(5 + i * 5, Math.round(y * 0xffff))
+  })
+  return bytes
+}
+
+
+// gesture timings (ms) and distances (px)
+const TAP_TIME = 250
+const LONG_PRESS = 500
+const WOBBLE = 10
+const SWIPE = 50
+const SWIPE_TIME = 500
+const PINCH_STEP = 0.05
+
+const distance = (a, b) => Math.sqrt(Math.pow(a.px - b.px, 2) + Math.pow(a.py - b.py, 2))
+
+// spot tap, long-press, swipe and pinch from pointers going down/moving/up
+export const recognise = emit => {
+  const pointers = {}
+  let pinch = null
+
+  const ids = () => Object.keys(pointers)
+
+  const startPinch = () => {
+    const [a, b] = ids().map(id => pointers[id])
+    pinch = {start: distance(a, b), scale: 1}
+  }
+
+  return {
+    down: (id, point) => {
+      pointers[id] = Object.assign({
+        start: point,
+        at: Date.now(),
+        moved: false,
+        timer: setTimeout(() => {
+          const pointer = pointers[id]
+          if(pointer && !pointer.moved && ids().length == 1) {
+            pointer.pressed = true
+            emit({gesture: 'long-press', x: round(point.x), y: round(point.y)})
+          }
+        }, LONG_PRESS)
+      }, point)
+
+      if(ids().length == 2) startPinch()
+    },
+
+    move: (id, point) => {
+      const pointer = pointers[id]
+      if(!pointer) return
+
+      Object.assign(pointer, point)
+      if(distance(pointer.start, point) > WOBBLE) pointer.moved = true
+
+      if(pinch && ids().length == 2) {
+        const [a, b] = ids().map(id => pointers[id])
+        const scale = distance(a, b) / (pinch.start || 1)
+        if(Math.abs(scale - pinch.scale) >= PINCH_STEP) {
+          pinch.scale = scale
+          emit({gesture: 'pinch', scale: round(scale)})
+        }
+      }
+    },
+
+    up: (id, point) => {
+      const pointer = pointers[id]
+      if(!pointer) return
+
+      clearTimeout(pointer.timer)
+      delete pointers[id]
+
+      const took = Date.now() - pointer.at
+      const dx = point.px - pointer.start.px
+      const dy = point.py - pointer.start.py
+
+      if(pinch) {
+        // the last of a pinch shouldn't count as a tap or swipe
+        if(!ids().length) pinch = null
+        return
+      }
+
+      if(pointer.pressed) return
+
+      if(!pointer.moved && took < TAP_TIME) {
+        emit({gesture: 'tap', x: round(point.x), y: round(point.y)})
+      } else if(took < SWIPE_TIME && Math.max(Math.abs(dx), Math.abs(dy)) > SWIPE) {
+        emit({
+          gesture: 'swipe',
+          direction: Math.abs(dx) > Math.abs(dy) ?
+            (dx > 0 ? 'right' : 'left') :
+            (dy > 0 ? 'down' : 'up')
+        })
+      }
+    }
+  }
+}
+
+
+// follow pointers on el - send(payload) for points, gesture(json) for gestures
+export const pad = (el, send, gesture, format) => {
+  const active = {}
+  const gestures = recognise(gesture)
+  let frame = null
+
+  // pointer ids can be large, so number them as they arrive
+  let next = 0
+  const ids = {}
+
+  const point = e => {
+    const rect = el.getBoundingClientRect()
+    const px = e.clientX - rect.left
+    const py = e.clientY - rect.top
+    return {
+      id: ids[e.pointerId],
+      px, py,
+      x: clamp(px / (rect.width || 1)),
+      y: clamp(py / (rect.height || 1))
+    }
+  }
+
+  const points = () => Object.keys(active).map(key => active[key])
+
+  // moves are sent at most once a frame
+  const flush = () => {
+    frame = null
+    const list = points()
+    if(list.length) send(encode('move', list, format))
+  }
+
+  const down = e => {
+    e.preventDefault()
+    if(el.setPointerCapture) el.setPointerCapture(e.pointerId)
+
+    ids[e.pointerId] = next++ % 256
+    const p = active[e.pointerId] = point(e)
+
+    send(encode('down', [p], format))
+    gestures.down(e.pointerId, p)
+  }
+
+  const move = e => {
+    if(!active[e.pointerId]) return
+    e.preventDefault()
+
+    const p = active[e.pointerId] = point(e)
+    gestures.move(e.pointerId, p)
+
+    if(!frame) frame = requestAnimationFrame(flush)
+  }
+
+  const up = e => {
+    if(!active[e.pointerId]) return
+    e.preventDefault()
+
+    const p = point(e)
+    delete active[e.pointerId]
+    delete ids[e.pointerId]
+
+    send(encode('up', [p], format))
+    gestures.up(e.pointerId, p)
+  }
+
+  el.addEventListener('pointerdown', down, false)
+  el.addEventListener('pointermove', move, false)
+  el.addEventListener('pointerup', up, false)
+  el.addEventListener('pointercancel', up, false)
+
+  return () => {
+    if(frame) cancelAnimationFrame(frame)
+    el.removeEventListener('pointerdown', down, false)
+    el.removeEventListener('pointermove', move, false)
+    el.removeEventListener('pointerup', up, false)
+    el.removeEventListener('pointercancel', up, false)
+  }
+}